@@ -17,9 +17,35 @@
  * - Conversation: A thread of messages that maintains context
  * - Message: A user question that Genie processes
  * - Attachment: Contains the query result data (rows, columns, SQL)
+ * 
+ * The Databricks calls themselves live in ../shared/genie-client.js.
+ * The chat shows progress by polling: send-message returns the message id at once, then
+ * poll-result reports each status until the answer is ready.
+ * 
+ * RESPONSES: start-conversation returns the Databricks conversation as-is, send-feedback
+ * returns { conversationId, messageId, rating } and cancel returns
+ * { conversationId, messageId, statementId, cancelled }. Every other action returns the
+ * normalized answer documented at normalizeAnswer() in ../shared/genie-client.js.
  */
 
-const fetch = require('node-fetch');
+const {
+    getConfig,
+    withDeadline,
+    getCircuitStatus,
+    startConversation,
+    sendMessage,
+    sendFeedback,
+    refreshResult,
+    cancelQuery,
+    fetchStatementResult,
+    fetchStatementPage,
+    askGenie,
+    pollAnswer,
+    normalizeAnswer,
+    normalizeStatementAnswer,
+    categorizeError
+} = require('../shared/genie-client');
+
 
 module.exports = async function (context, req) {
     // Log the incoming request for debugging
@@ -45,7 +71,7 @@ module.exports = async function (context, req) {
         return;
     }
 
-    // Handle GET request (for testing)
+    // Handle GET request (health check - the frontend polls it while Genie is offline)
     if (req.method === 'GET') {
         context.res = {
             status: 200,
@@ -53,6 +79,7 @@ module.exports = async function (context, req) {
             body: JSON.stringify({
                 message: 'Genie API is running',
                 method: 'Use POST with action parameter',
+                upstream: getCircuitStatus(),   // { state: closed | open | half-open, retryAfterMs }
                 timestamp: new Date().toISOString()
             })
         };
@@ -60,17 +87,6 @@ module.exports = async function (context, req) {
     }
 
     try {
-        // === CONFIGURATION ===
-        // These environment variables must be set in Azure Static Web Apps configuration
-        const DATABRICKS_WORKSPACE_URL = process.env.DATABRICKS_WORKSPACE_URL; // e.g., https://adb-xxx.azuredatabricks.net
-        const DATABRICKS_PAT_TOKEN = process.env.DATABRICKS_PAT_TOKEN;         // Personal Access Token
-        const GENIE_SPACE_ID = process.env.GENIE_SPACE_ID;                     // Your Genie Space ID
-
-        // Validate required environment variables
-        if (!DATABRICKS_WORKSPACE_URL || !DATABRICKS_PAT_TOKEN || !GENIE_SPACE_ID) {
-            throw new Error('Missing required environment variables. Please set DATABRICKS_WORKSPACE_URL, DATABRICKS_PAT_TOKEN, and GENIE_SPACE_ID');
-        }
-
         // Extract action from request body (handle both parsed and unparsed body)
         let body = req.body;
         if (typeof body === 'string') {
@@ -83,20 +99,40 @@ module.exports = async function (context, req) {
         
         const { action, conversationId, messageId, content } = body;
 
+        // === CONFIGURATION ===
+        // Environment variables are read and validated in the shared client.
+        // The deadline bounds everything this request does, retries and ask polling included.
+        const config = withDeadline(getConfig(), body.timeoutMs);
+
         // Route to appropriate handler based on action
         let result;
         switch (action) {
             case 'start-conversation':
-                result = await startConversation(DATABRICKS_WORKSPACE_URL, DATABRICKS_PAT_TOKEN, GENIE_SPACE_ID, context);
+                result = await startConversation(config, context);
                 break;
             case 'send-message':
-                result = await sendMessage(DATABRICKS_WORKSPACE_URL, DATABRICKS_PAT_TOKEN, GENIE_SPACE_ID, conversationId, content, context);
+                result = normalizeAnswer(await sendMessage(config, conversationId, content, context));
                 break;
             case 'poll-result':
-                result = await pollResult(DATABRICKS_WORKSPACE_URL, DATABRICKS_PAT_TOKEN, GENIE_SPACE_ID, conversationId, messageId, context);
+                result = await pollAnswer(config, conversationId, messageId, context);
+                break;
+            case 'send-feedback':
+                result = await sendFeedback(config, conversationId, messageId, body.rating, context);
+                break;
+            case 'refresh-result':
+                result = await refreshResult(config, conversationId, messageId, body.attachmentId, context);
+                break;
+            case 'cancel':
+                result = await cancelQuery(config, conversationId, messageId, body.statementId, context);
                 break;
             case 'fetch-statement-result':
-                result = await fetchStatementResult(DATABRICKS_WORKSPACE_URL, DATABRICKS_PAT_TOKEN, body.statementId, context);
+                result = normalizeStatementAnswer(await fetchStatementResult(config, body.statementId, context), body.statementId);
+                break;
+            case 'fetch-statement-page':
+                result = await fetchStatementPage(config, body.statementId, body.pageSize, body.pageToken, context);
+                break;
+            case 'ask':
+                result = await askGenie(config, conversationId, content, context);
                 break;
             default:
                 throw new Error(`Unknown action: ${action}`);
@@ -121,13 +157,23 @@ module.exports = async function (context, req) {
         context.log.error('Stack trace:', error.stack);
 
         // Return user-friendly error response
+        const type = categorizeError(error);
         const errorBody = JSON.stringify({
             success: false,
             error: error.message,
-            type: categorizeError(error)
+            type,
+            retryAfterMs: error.retryAfterMs
         });
         
-        context.res = {
+        // While the circuit is open, tell the client when it is worth trying again
+        const retryAfter = Number.isFinite(error.retryAfterMs)
+            ? { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) }
+            : {};
+        context.res = type === 'unavailable' ? {
+            status: 503,
+            headers: { ...headers, ...retryAfter },
+            body: errorBody
+        } : {
             status: 500,
             headers,
             body: errorBody
@@ -135,350 +181,3 @@ module.exports = async function (context, req) {
     }
 };
 
-/**
- * START CONVERSATION
- * 
- * PURPOSE: Creates a new conversation thread with Genie.
- * A conversation maintains context across multiple questions.
- * 
- * API ENDPOINT: POST /api/2.0/genie/spaces/{space_id}/start-conversation
- * 
- * REQUEST BODY: { "title": "Conversation title" }  // title is required
- * 
- * RESPONSE STRUCTURE:
- * {
- *   "conversation_id": "01ef1234-5678-9abc-def0-123456789abc",
- *   "space_id": "01ef-xxx",
- *   "title": null,
- *   "created_timestamp": 1234567890
- * }
- * 
- * WHY WE NEED THIS: The conversation_id is required for all subsequent messages.
- * It allows Genie to maintain context (e.g., "What about 2023?" after asking about 2022).
- */
-async function startConversation(workspaceUrl, token, spaceId, context) {
-    const url = `${workspaceUrl}/api/2.0/genie/spaces/${spaceId}/start-conversation`;
-    
-    // Try different variations of the request body based on Databricks API requirements
-    const requestBody = {
-        content: 'F1 Racing History Chat',  // Some versions use 'content'
-        title: 'F1 Racing History Chat'     // Some versions use 'title'
-    };
-    
-    context.log('=== Starting Conversation ===');
-    context.log('URL:', url);
-    context.log('Request body:', JSON.stringify(requestBody, null, 2));
-    
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        context.log.error('Failed to start conversation');
-        context.log.error('Status:', response.status);
-        context.log.error('Response:', errorText);
-        context.log.error('Request body was:', JSON.stringify(requestBody, null, 2));
-        throw new Error(`Failed to start conversation: ${response.status} ${errorText}`);
-    }
-
-    const data = await response.json();
-    context.log('✅ Conversation started successfully!');
-    context.log('Conversation ID:', data.conversation_id);
-    context.log('Full response:', JSON.stringify(data, null, 2));
-    
-    return data;
-}
-
-/**
- * SEND MESSAGE
- * 
- * PURPOSE: Sends a user question to Genie within a conversation.
- * Genie will:
- * 1. Parse the natural language question
- * 2. Generate SQL to query your data
- * 3. Execute the SQL
- * 4. Return results
- * 
- * API ENDPOINT: POST /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages
- * 
- * REQUEST BODY:
- * {
- *   "content": "Who has won the most races in F1 history?"
- * }
- * 
- * RESPONSE STRUCTURE:
- * {
- *   "id": "01ef-message-id",           // Message ID - use this to poll for results
- *   "conversation_id": "01ef-conv-id",
- *   "space_id": "01ef-space-id",
- *   "content": "Who has won...",       // Your original question
- *   "status": "EXECUTING",              // Status: EXECUTING -> COMPLETED or FAILED
- *   "created_timestamp": 1234567890,
- *   "attachments": []                   // Empty initially, filled when COMPLETED
- * }
- * 
- * WHY WE POLL: The message starts with status "EXECUTING" because Genie needs time to:
- * - Understand your question
- * - Generate appropriate SQL
- * - Run the query against your data
- * - Format the results
- * 
- * We must poll the message endpoint until status becomes "COMPLETED".
- */
-async function sendMessage(workspaceUrl, token, spaceId, conversationId, content, context) {
-    const url = `${workspaceUrl}/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages`;
-    
-    context.log('=== Sending Message ===');
-    context.log('URL:', url);
-    context.log('Question:', content);
-    
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ content })
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        context.log.error('Failed to send message:', errorText);
-        throw new Error(`Failed to send message: ${response.status} ${errorText}`);
-    }
-
-    const data = await response.json();
-    context.log('Message sent successfully!');
-    context.log('Message ID:', data.id);
-    context.log('Initial status:', data.status);
-    context.log('Full response:', JSON.stringify(data, null, 2));
-    
-    return data;
-}
-
-/**
- * POLL RESULT
- * 
- * PURPOSE: Checks if a message has completed processing and retrieves the results.
- * This must be called repeatedly until status is "COMPLETED" or "FAILED".
- * 
- * API ENDPOINT: GET /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages/{message_id}
- * 
- * RESPONSE STRUCTURE (when EXECUTING):
- * {
- *   "id": "01ef-message-id",
- *   "status": "EXECUTING",
- *   "attachments": []
- * }
- * 
- * RESPONSE STRUCTURE (when COMPLETED):
- * {
- *   "id": "01ef-message-id",
- *   "status": "COMPLETED",
- *   "attachments": [
- *     {
- *       "query": {
- *         "query": "SELECT driver, COUNT(*) as wins FROM f1_races...",  // The generated SQL
- *         "status": "SUCCEEDED",
- *         "query_result": {
- *           "row_count": 25,
- *           "data_array": [                    // *** THIS IS THE ACTUAL DATA YOU WANT ***
- *             ["Lewis Hamilton", 103],
- *             ["Michael Schumacher", 91],
- *             ["Sebastian Vettel", 53],
- *             ...
- *           ],
- *           "schema": {
- *             "columns": [
- *               {"name": "driver", "type": "STRING"},
- *               {"name": "wins", "type": "LONG"}
- *             ]
- *           },
- *           "truncated": false
- *         }
- *       },
- *       "text": {
- *         "content": "Based on the query results..."  // Genie's natural language response
- *       }
- *     }
- *   ]
- * }
- * 
- * KEY FIELDS TO EXTRACT:
- * - attachments[0].query.query_result.data_array: The actual rows of data
- * - attachments[0].query.query_result.schema.columns: Column names and types
- * - attachments[0].text.content: Genie's explanation (optional to show)
- * 
- * WHY THIS MATTERS: The data_array contains the ACTUAL RESULTS your user wants to see.
- * This is what you'll parse and display as an HTML table in the frontend.
- */
-async function pollResult(workspaceUrl, token, spaceId, conversationId, messageId, context) {
-    const url = `${workspaceUrl}/api/2.0/genie/spaces/${spaceId}/conversations/${conversationId}/messages/${messageId}`;
-    
-    context.log('=== Polling for Result ===');
-    context.log('URL:', url);
-    context.log('Message ID:', messageId);
-    
-    const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        }
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        context.log.error('Failed to poll result:', errorText);
-        throw new Error(`Failed to poll result: ${response.status} ${errorText}`);
-    }
-
-    const data = await response.json();
-    context.log('Poll response received');
-    context.log('Status:', data.status);
-    
-    // Log the full structure so you can see what Genie returns
-    if (data.status === 'COMPLETED') {
-        context.log('=== MESSAGE COMPLETED ===');
-        context.log('Full response structure:', JSON.stringify(data, null, 2));
-        
-        // Log the query result data specifically
-        if (data.attachments && data.attachments.length > 0) {
-            const attachment = data.attachments[0];
-            if (attachment.query && attachment.query.query_result) {
-                context.log('=== QUERY RESULT DATA ===');
-                context.log('Row count:', attachment.query.query_result.row_count);
-                context.log('Columns:', JSON.stringify(attachment.query.query_result.schema?.columns, null, 2));
-                context.log('Data array (first 5 rows):', JSON.stringify(attachment.query.query_result.data_array?.slice(0, 5), null, 2));
-                context.log('Generated SQL:', attachment.query.query);
-            }
-            
-            if (attachment.text) {
-                context.log('Genie explanation:', attachment.text.content);
-            }
-        }
-    } else if (data.status === 'EXECUTING') {
-        context.log('Message still executing... frontend should poll again');
-    } else if (data.status === 'FAILED') {
-        context.log.error('Message failed!');
-        if (data.attachments && data.attachments.length > 0) {
-            context.log.error('Error details:', JSON.stringify(data.attachments[0], null, 2));
-        }
-    }
-    
-    return data;
-}
-
-/**
- * FETCH STATEMENT RESULT
- * 
- * PURPOSE: Fetches the actual query results using the statement ID from Genie.
- * When Genie executes a query, it returns a statement_id but may not include the actual data.
- * This function retrieves the data from the SQL Statements API.
- * 
- * API ENDPOINT: GET /api/2.0/sql/statements/{statement_id}/result
- * 
- * RESPONSE STRUCTURE:
- * {
- *   "statement_id": "01ef1234-...",
- *   "status": { "state": "SUCCEEDED" },
- *   "manifest": {
- *     "schema": {
- *       "columns": [
- *         { "name": "driver", "type_text": "STRING" },
- *         { "name": "championships", "type_text": "LONG" }
- *       ]
- *     }
- *   },
- *   "result": {
- *     "data_array": [
- *       ["Sebastian Vettel", 4],
- *       ["Alain Prost", 4],
- *       ["Juan Manuel Fangio", 5]
- *     ],
- *     "row_count": 3,
- *     "chunk_index": 0
- *   }
- * }
- */
-async function fetchStatementResult(workspaceUrl, token, statementId, context) {
-    context.log(`Fetching statement result: ${statementId}`);
-    
-    // Try the result endpoint first
-    let url = `${workspaceUrl}/api/2.0/sql/statements/${statementId}/result`;
-    context.log(`Trying result endpoint: ${url}`);
-    
-    let response = await fetch(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-        }
-    });
-    
-    // If 404, the statement might not exist or completed yet, try getting statement status first
-    if (response.status === 404) {
-        context.log('Result endpoint 404, trying statement status endpoint...');
-        url = `${workspaceUrl}/api/2.0/sql/statements/${statementId}`;
-        context.log(`Trying status endpoint: ${url}`);
-        
-        response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-    }
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        context.log.error('Statement fetch failed:', response.status, errorText);
-        context.log.error('URL attempted:', url);
-        throw new Error(`Failed to fetch statement: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-    
-    const data = await response.json();
-    context.log('Statement data fetched successfully');
-    context.log('Response keys:', Object.keys(data));
-    
-    // If we got the statement status, extract the result
-    if (data.result) {
-        context.log('Found result in response');
-        return data;
-    } else if (data.status && data.status.state === 'SUCCEEDED') {
-        context.log('Statement succeeded but no result field, returning full response');
-        return data;
-    } else {
-        context.log.error('Unexpected response structure:', JSON.stringify(data, null, 2));
-        throw new Error('Statement response missing result data');
-    }
-}
-
-/**
- * Categorize errors to help frontend show appropriate messages
- */
-function categorizeError(error) {
-    const message = error.message.toLowerCase();
-    
-    if (message.includes('401') || message.includes('403') || message.includes('unauthorized')) {
-        return 'auth';
-    }
-    if (message.includes('429') || message.includes('rate limit')) {
-        return 'rate_limit';
-    }
-    if (message.includes('timeout')) {
-        return 'timeout';
-    }
-    if (message.includes('network') || message.includes('fetch')) {
-        return 'network';
-    }
-    
-    return 'default';
-}
@@ -0,0 +1,429 @@
+/**
+ * Shared Databricks connection: configuration, authentication and the request helper
+ *
+ * AUTHENTICATION MODES (picked from the environment variables that are set):
+ * - OAuth machine-to-machine: DATABRICKS_CLIENT_ID + DATABRICKS_CLIENT_SECRET of a service principal.
+ *   Access tokens come from the workspace /oidc/v1/token endpoint (client-credentials grant)
+ *   and are cached in memory until shortly before they expire.
+ * - Personal access token: DATABRICKS_PAT_TOKEN. Still supported for local development.
+ *
+ * When both are set, OAuth wins - production should not depend on one person's token.
+ *
+ * Every Databricks call goes through databricksFetch(), which adds the Authorization header,
+ * fetches a fresh OAuth token once if Databricks rejects the cached one with 401, retries
+ * transient failures (see RETRIES below) and fails fast while the circuit breaker is open
+ * (see CIRCUIT BREAKER below).
+ */
+
+const fetch = require('node-fetch');
+
+// Refresh OAuth tokens this long before Databricks says they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Azure Static Web Apps cuts managed function requests off at 45 seconds,
+// so the default request budget leaves some headroom for the response itself
+const DEFAULT_REQUEST_TIMEOUT_MS = 40000;
+
+// Retry settings for transient Databricks failures
+const MAX_ATTEMPTS = 4;                // first try + 3 retries
+const RETRY_BASE_DELAY_MS = 500;       // doubled per attempt: ~500ms, ~1s, ~2s (jittered)
+const RETRY_MAX_DELAY_MS = 8000;       // cap for both backoff and Retry-After
+
+// Worth retrying for reads - the failure says nothing about the request itself
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Databricks rejected these before doing any work, so even a POST that creates
+// something (send-message) can safely be sent again
+const NOT_ACCEPTED_STATUSES = [429, 503];
+
+// Connection errors where the request never reached Databricks
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Circuit breaker settings
+const CIRCUIT_FAILURE_THRESHOLD = 5;   // consecutive failed calls that open the circuit
+const CIRCUIT_COOLDOWN_MS = 30000;     // how long to fail fast before letting a probe through (GENIE_CIRCUIT_COOLDOWN_MS overrides)
+
+// Responses that mean the workspace or warehouse is down (429 is throttling, not an outage)
+const UPSTREAM_FAILURE_STATUSES = [500, 502, 503, 504];
+
+// In-memory circuit breaker state - shared by all requests on this function instance
+let circuit = {
+    state: 'closed',        // closed -> open -> half-open -> closed (or back to open)
+    failures: 0,
+    openedAt: 0,
+    probeInFlight: false
+};
+
+// In-memory OAuth token cache - lives as long as the function instance
+let tokenCache = {
+    key: null,          // client ID + workspace the token was issued for
+    accessToken: null,
+    expiresAt: 0,
+    pending: null       // in-flight token request, shared by concurrent callers
+};
+
+/**
+ * Read the Databricks configuration from the environment
+ * These environment variables must be set in Azure Static Web Apps configuration
+ *
+ * RETURNS:
+ * {
+ *   "workspaceUrl": "https://adb-xxx.azuredatabricks.net",
+ *   "spaceId": "01ef-xxx",
+ *   "auth": { "type": "oauth", "clientId": "...", "clientSecret": "..." }   // or { "type": "pat", "token": "dapi..." }
+ * }
+ */
+function getConfig() {
+    const workspaceUrl = (process.env.DATABRICKS_WORKSPACE_URL || '').replace(/\/+$/, ''); // e.g., https://adb-xxx.azuredatabricks.net
+    const spaceId = process.env.GENIE_SPACE_ID;                                             // Your Genie Space ID
+    const clientId = process.env.DATABRICKS_CLIENT_ID;                                      // Service principal application ID
+    const clientSecret = process.env.DATABRICKS_CLIENT_SECRET;                              // Service principal OAuth secret
+    const patToken = process.env.DATABRICKS_PAT_TOKEN;                                      // Personal Access Token
+
+    if (!workspaceUrl || !spaceId || !((clientId && clientSecret) || patToken)) {
+        throw new Error('Missing required environment variables. Please set DATABRICKS_WORKSPACE_URL, GENIE_SPACE_ID, and either DATABRICKS_CLIENT_ID + DATABRICKS_CLIENT_SECRET or DATABRICKS_PAT_TOKEN');
+    }
+
+    const auth = clientId && clientSecret
+        ? { type: 'oauth', clientId, clientSecret }
+        : { type: 'pat', token: patToken };
+
+    return { workspaceUrl, spaceId, auth };
+}
+
+/**
+ * Start the time budget for one incoming request
+ * config.deadline bounds polling and retries; the client may ask for less time
+ * (timeoutMs in the request body) but never for more than GENIE_REQUEST_TIMEOUT_MS
+ */
+function withDeadline(config, requestedMs) {
+    const maxMs = parseInt(process.env.GENIE_REQUEST_TIMEOUT_MS, 10) || DEFAULT_REQUEST_TIMEOUT_MS;
+    const requested = parseInt(requestedMs, 10);
+    const timeoutMs = requested > 0 ? Math.min(requested, maxMs) : maxMs;
+
+    return { ...config, timeoutMs, deadline: Date.now() + timeoutMs };
+}
+
+/**
+ * Get a bearer token for the configured auth mode
+ * OAuth tokens are reused from the cache until TOKEN_REFRESH_MARGIN_MS before expiry
+ * `signal` aborts the token request together with the Databricks request that needs it
+ */
+async function getAccessToken(config, context, signal) {
+    if (config.auth.type === 'pat') {
+        return config.auth.token;
+    }
+
+    const key = `${config.workspaceUrl}|${config.auth.clientId}`;
+    if (tokenCache.key === key && tokenCache.accessToken && Date.now() < tokenCache.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+        return tokenCache.accessToken;
+    }
+
+    // Concurrent requests wait for the same token request instead of each starting one
+    if (tokenCache.key === key && tokenCache.pending) {
+        return tokenCache.pending;
+    }
+
+    tokenCache = { key, accessToken: null, expiresAt: 0, pending: null };
+    tokenCache.pending = requestOAuthToken(config, context, signal)
+        .then(data => {
+            if (tokenCache.key === key) {
+                tokenCache.accessToken = data.access_token;
+                tokenCache.expiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+            }
+            return data.access_token;
+        })
+        .finally(() => {
+            if (tokenCache.key === key) {
+                tokenCache.pending = null;
+            }
+        });
+
+    return tokenCache.pending;
+}
+
+/**
+ * OAUTH TOKEN REQUEST
+ *
+ * API ENDPOINT: POST {workspace}/oidc/v1/token
+ * Basic auth with client_id:client_secret, form body grant_type=client_credentials&scope=all-apis
+ *
+ * RESPONSE STRUCTURE:
+ * {
+ *   "access_token": "eyJraWQ...",
+ *   "token_type": "Bearer",
+ *   "expires_in": 3600
+ * }
+ *
+ * A rejected request throws with `tokenRequestFailed` set: a wrong client id or secret
+ * does not get better with retries and says nothing about the workspace being down.
+ */
+async function requestOAuthToken(config, context, signal) {
+    const url = `${config.workspaceUrl}/oidc/v1/token`;
+    const credentials = Buffer.from(`${config.auth.clientId}:${config.auth.clientSecret}`).toString('base64');
+
+    context.log('=== Requesting OAuth token ===');
+    context.log('URL:', url);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${credentials}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: 'grant_type=client_credentials&scope=all-apis',
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Failed to get OAuth token');
+        context.log.error('Status:', response.status);
+        const error = new Error(`Failed to get OAuth token: ${response.status} ${errorText}`);
+        error.tokenRequestFailed = true;
+        throw error;
+    }
+
+    const data = await response.json();
+    context.log('✅ OAuth token received, expires in (s):', data.expires_in);
+    return data;
+}
+
+/**
+ * Forget the cached OAuth token (e.g. after Databricks rejected it)
+ */
+function invalidateAccessToken() {
+    tokenCache = { key: null, accessToken: null, expiresAt: 0, pending: null };
+}
+
+/**
+ * CIRCUIT BREAKER
+ *
+ * PURPOSE: Stop sending requests to a workspace that is down. Without it every user waits
+ * through the full retry and poll budget before seeing an error.
+ *
+ * STATES:
+ * - closed     Normal. CIRCUIT_FAILURE_THRESHOLD consecutive failed calls (5xx or network
+ *              errors, after retries) open the circuit. Failed OAuth token requests
+ *              don't count - they mean bad credentials, not a workspace that is down.
+ * - open       Calls fail immediately with an "unavailable" error for CIRCUIT_COOLDOWN_MS.
+ * - half-open  After the cooldown one probe call is let through. Success closes the circuit,
+ *              failure opens it again for another cooldown.
+ */
+function getCircuitStatus() {
+    const retryAfterMs = Math.max(0, circuit.openedAt + getCircuitCooldownMs() - Date.now());
+
+    if (circuit.state === 'open' && retryAfterMs === 0) {
+        return { state: 'half-open', retryAfterMs: 0 };
+    }
+    return { state: circuit.state, retryAfterMs: circuit.state === 'open' ? retryAfterMs : 0 };
+}
+
+function getCircuitCooldownMs() {
+    const cooldownMs = parseInt(process.env.GENIE_CIRCUIT_COOLDOWN_MS, 10);
+    return cooldownMs >= 0 ? cooldownMs : CIRCUIT_COOLDOWN_MS;
+}
+
+/**
+ * Throw the fail-fast error if the circuit does not let this call through
+ * Marks the call as the half-open probe when the cooldown is over
+ */
+function enterCircuit(context) {
+    const status = getCircuitStatus();
+
+    if (status.state === 'half-open' && !circuit.probeInFlight) {
+        context.log.warn('Circuit half-open, sending a probe request to Databricks');
+        circuit.state = 'half-open';
+        circuit.probeInFlight = true;
+        return;
+    }
+
+    if (status.state !== 'closed') {
+        const retryAfterMs = status.retryAfterMs || getCircuitCooldownMs();
+        const error = new Error(`Databricks is temporarily unavailable (circuit open) - try again in ${Math.ceil(retryAfterMs / 1000)} seconds`);
+        error.circuitOpen = true;
+        error.retryAfterMs = retryAfterMs;
+        throw error;
+    }
+}
+
+/**
+ * Record the outcome of a call that went through the circuit
+ */
+function recordCircuitResult(failed, context) {
+    const wasProbe = circuit.probeInFlight;
+    circuit.probeInFlight = false;
+
+    if (!failed) {
+        if (circuit.state !== 'closed') {
+            context.log('✅ Databricks reachable again, closing circuit');
+        }
+        circuit = { state: 'closed', failures: 0, openedAt: 0, probeInFlight: false };
+        return;
+    }
+
+    circuit.failures++;
+    if (wasProbe || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        context.log.error(`Circuit opened after ${circuit.failures} consecutive Databricks failures`);
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+    }
+}
+
+/**
+ * AUTHENTICATED REQUEST HELPER
+ *
+ * PURPOSE: The single place that sends requests to the Databricks REST API.
+ * Callers pass a workspace-relative path and get the node-fetch Response back,
+ * so each caller keeps its own status handling and error messages.
+ *
+ * USAGE:
+ * const response = await databricksFetch(config, `/api/2.0/genie/spaces/${spaceId}/start-conversation`, {
+ *     method: 'POST',
+ *     body: { title: 'F1 Racing History Chat' },   // objects are sent as JSON
+ *     idempotent: false                            // optional - defaults to true for GET only
+ * }, context);
+ *
+ * RETRIES:
+ * - Idempotent requests are retried on 429, 5xx and network errors
+ * - Non-idempotent requests (e.g. send-message) are only retried when Databricks cannot have
+ *   accepted them: 429, 503, or a connection that was never established. Retrying after a
+ *   502/504 or a dropped connection could ask Genie the same question twice.
+ * - Delays use jittered exponential backoff, or the Retry-After header when Databricks sends one
+ * - A rejected OAuth token request is not retried (see requestOAuthToken)
+ * - A retry is skipped when its delay would run past config.deadline
+ * - Each attempt is aborted when config.deadline passes (a "Query timeout" error)
+ *
+ * While the circuit breaker is open this throws "Databricks is temporarily unavailable"
+ * without contacting Databricks at all.
+ */
+async function databricksFetch(config, path, options, context) {
+    const { method = 'GET', body } = options;
+    const idempotent = options.idempotent ?? method === 'GET';
+
+    enterCircuit(context);
+    try {
+        const response = await fetchWithRetries(config, path, method, body, idempotent, context);
+        recordCircuitResult(UPSTREAM_FAILURE_STATUSES.includes(response.status), context);
+        return response;
+    } catch (error) {
+        if (error.tokenRequestFailed) {
+            // Databricks itself was never called - only let a half-open probe through again
+            circuit.probeInFlight = false;
+            throw error;
+        }
+        recordCircuitResult(true, context);
+        throw error;
+    }
+}
+
+/**
+ * Send one Databricks request, retrying as described in databricksFetch
+ */
+async function fetchWithRetries(config, path, method, body, idempotent, context) {
+    const send = async () => {
+        // Each attempt (token request included) may only use the time left before the deadline
+        const deadline = config.deadline || Date.now() + DEFAULT_REQUEST_TIMEOUT_MS;
+        const signal = AbortSignal.timeout(Math.max(deadline - Date.now(), 1));
+        try {
+            const token = await getAccessToken(config, context, signal);
+            return await fetch(`${config.workspaceUrl}${path}`, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+                const timeout = new Error(`Query timeout - Databricks did not answer ${method} ${path} in time`);
+                timeout.code = 'ETIMEDOUT';
+                throw timeout;
+            }
+            throw error;
+        }
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let networkError = null;
+
+        try {
+            response = await send();
+
+            // A cached OAuth token can be revoked before it expires - get a new one and try once more
+            if (response.status === 401 && config.auth.type === 'oauth') {
+                context.log.warn('Databricks rejected the cached OAuth token, refreshing it');
+                invalidateAccessToken();
+                response = await send();
+            }
+        } catch (error) {
+            if (error.tokenRequestFailed) {
+                throw error;
+            }
+            networkError = error;
+        }
+
+        const retryable = networkError
+            ? idempotent || NOT_SENT_ERROR_CODES.includes(networkError.code)
+            : (idempotent ? RETRYABLE_STATUSES : NOT_ACCEPTED_STATUSES).includes(response.status);
+
+        if (!retryable || attempt >= MAX_ATTEMPTS) {
+            if (retryable) {
+                context.log.warn(`${method} ${path} still failing after ${attempt} attempts, giving up`);
+            }
+            if (networkError) {
+                throw networkError;
+            }
+            return response;
+        }
+
+        const delay = getRetryDelay(attempt, response);
+        const reason = networkError ? networkError.code || networkError.message : response.status;
+
+        if (config.deadline && Date.now() + delay > config.deadline) {
+            context.log.warn(`${method} ${path} failed (${reason}) on attempt ${attempt}, no time left for a retry in ${delay}ms`);
+            if (networkError) {
+                throw networkError;
+            }
+            return response;
+        }
+
+        context.log.warn(`${method} ${path} failed (${reason}) on attempt ${attempt}/${MAX_ATTEMPTS}, retrying in ${delay}ms`);
+        await sleep(delay);
+    }
+}
+
+/**
+ * Delay before the next attempt: Retry-After (seconds or HTTP date) when present,
+ * otherwise exponential backoff with jitter so parallel requests don't retry in lockstep
+ */
+function getRetryDelay(attempt, response) {
+    const retryAfter = response && response.headers.get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (ms >= 0) {
+            return Math.min(ms, RETRY_MAX_DELAY_MS);
+        }
+    }
+
+    const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    getConfig,
+    withDeadline,
+    getAccessToken,
+    invalidateAccessToken,
+    databricksFetch,
+    getCircuitStatus,
+    sleep
+};
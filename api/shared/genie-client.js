@@ -0,0 +1,955 @@
+/**
+ * Shared Databricks Genie client
+ * 
+ * PURPOSE: The Databricks calls behind the genie/ HTTP function (JSON proxy, one action
+ * per request), kept out of the function itself so they can be tested and reused.
+ * 
+ * Azure Functions only treats folders containing a function.json as functions,
+ * so this folder is plain shared code. Configuration, authentication and the
+ * request helper every call goes through are in ./databricks.js.
+ */
+
+const { getConfig, withDeadline, databricksFetch, getCircuitStatus, sleep } = require('./databricks');
+
+// Poll delays for the server-side poll loops (see pollWithBackoff).
+// GENIE_POLL_DELAYS_MS (comma-separated) overrides them, e.g. "10" for the simulator tests
+const POLL_DELAYS = [500, 1000, 2000, 5000];
+
+// Page sizes for fetch-statement-page
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+// Ratings accepted by the Genie message feedback endpoint (NONE clears a rating)
+const FEEDBACK_RATINGS = ['POSITIVE', 'NEGATIVE', 'NONE'];
+
+// Statuses after which Genie will not change the message any more
+// (QUERY_RESULT_EXPIRED: the answer is final but its rows are gone - see refreshResult)
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED', 'QUERY_RESULT_EXPIRED'];
+
+// SQL statement states that are still working towards a result
+const RUNNING_STATEMENT_STATES = ['PENDING', 'RUNNING'];
+
+/**
+ * START CONVERSATION
+ * 
+ * PURPOSE: Creates a new conversation thread with Genie.
+ * A conversation maintains context across multiple questions.
+ * 
+ * API ENDPOINT: POST /api/2.0/genie/spaces/{space_id}/start-conversation
+ * 
+ * REQUEST BODY: { "title": "Conversation title" }  // title is required
+ * 
+ * RESPONSE STRUCTURE:
+ * {
+ *   "conversation_id": "01ef1234-5678-9abc-def0-123456789abc",
+ *   "space_id": "01ef-xxx",
+ *   "title": null,
+ *   "created_timestamp": 1234567890
+ * }
+ * 
+ * WHY WE NEED THIS: The conversation_id is required for all subsequent messages.
+ * It allows Genie to maintain context (e.g., "What about 2023?" after asking about 2022).
+ */
+async function startConversation(config, context) {
+    const path = `/api/2.0/genie/spaces/${config.spaceId}/start-conversation`;
+    
+    // Try different variations of the request body based on Databricks API requirements
+    const requestBody = {
+        content: 'F1 Racing History Chat',  // Some versions use 'content'
+        title: 'F1 Racing History Chat'     // Some versions use 'title'
+    };
+    
+    context.log('=== Starting Conversation ===');
+    context.log('Path:', path);
+    context.log('Request body:', JSON.stringify(requestBody, null, 2));
+    
+    const response = await databricksFetch(config, path, {
+        method: 'POST',
+        body: requestBody
+    }, context);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Failed to start conversation');
+        context.log.error('Status:', response.status);
+        context.log.error('Response:', errorText);
+        context.log.error('Request body was:', JSON.stringify(requestBody, null, 2));
+        throw new Error(`Failed to start conversation: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+    context.log('✅ Conversation started successfully!');
+    context.log('Conversation ID:', data.conversation_id);
+    context.log('Full response:', JSON.stringify(data, null, 2));
+    
+    return data;
+}
+
+/**
+ * SEND MESSAGE
+ * 
+ * PURPOSE: Sends a user question to Genie within a conversation.
+ * Genie will:
+ * 1. Parse the natural language question
+ * 2. Generate SQL to query your data
+ * 3. Execute the SQL
+ * 4. Return results
+ * 
+ * API ENDPOINT: POST /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages
+ * 
+ * REQUEST BODY:
+ * {
+ *   "content": "Who has won the most races in F1 history?"
+ * }
+ * 
+ * RESPONSE STRUCTURE:
+ * {
+ *   "id": "01ef-message-id",           // Message ID - use this to poll for results
+ *   "conversation_id": "01ef-conv-id",
+ *   "space_id": "01ef-space-id",
+ *   "content": "Who has won...",       // Your original question
+ *   "status": "EXECUTING",              // Status: EXECUTING -> COMPLETED or FAILED
+ *   "created_timestamp": 1234567890,
+ *   "attachments": []                   // Empty initially, filled when COMPLETED
+ * }
+ * 
+ * WHY WE POLL: The message starts with status "EXECUTING" because Genie needs time to:
+ * - Understand your question
+ * - Generate appropriate SQL
+ * - Run the query against your data
+ * - Format the results
+ * 
+ * We must poll the message endpoint until status becomes "COMPLETED".
+ * 
+ * EXPIRED CONVERSATIONS: Genie forgets conversations after a while. Sending to one it no longer
+ * knows fails with a "Conversation expired" error, which categorizeError reports as
+ * "conversation_expired" so the browser can start a new conversation instead.
+ */
+async function sendMessage(config, conversationId, content, context) {
+    const path = `/api/2.0/genie/spaces/${config.spaceId}/conversations/${conversationId}/messages`;
+    
+    context.log('=== Sending Message ===');
+    context.log('Path:', path);
+    context.log('Question:', content);
+    
+    // Not idempotent: a retry after Databricks accepted the message would ask the question twice
+    const response = await databricksFetch(config, path, {
+        method: 'POST',
+        body: { content },
+        idempotent: false
+    }, context);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Failed to send message:', errorText);
+        if (isMissingConversation(response.status, errorText)) {
+            throw new Error(`Conversation expired - ${conversationId} no longer exists in Genie (${response.status} ${errorText})`);
+        }
+        throw new Error(`Failed to send message: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+    context.log('Message sent successfully!');
+    context.log('Message ID:', data.id);
+    context.log('Initial status:', data.status);
+    context.log('Full response:', JSON.stringify(data, null, 2));
+    
+    return data;
+}
+
+/**
+ * Does a failed send-message response mean the conversation is gone?
+ * The messages endpoint answers 404 (RESOURCE_DOES_NOT_EXIST) for unknown conversations; some
+ * workspaces report it as a 400 or 500 whose message says the conversation was not found.
+ */
+function isMissingConversation(status, errorText) {
+    if (status === 404 || /RESOURCE_DOES_NOT_EXIST/.test(errorText)) {
+        return true;
+    }
+    return /conversation\b.*\b(does not exist|not found|expired)/i.test(errorText);
+}
+
+/**
+ * POLL RESULT
+ * 
+ * PURPOSE: Checks if a message has completed processing and retrieves the results.
+ * This must be called repeatedly until status is "COMPLETED" or "FAILED".
+ * 
+ * API ENDPOINT: GET /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages/{message_id}
+ * 
+ * RESPONSE STRUCTURE (when EXECUTING):
+ * {
+ *   "id": "01ef-message-id",
+ *   "status": "EXECUTING",
+ *   "attachments": []
+ * }
+ * 
+ * RESPONSE STRUCTURE (when COMPLETED):
+ * {
+ *   "id": "01ef-message-id",
+ *   "status": "COMPLETED",
+ *   "attachments": [
+ *     {
+ *       "query": {
+ *         "query": "SELECT driver, COUNT(*) as wins FROM f1_races...",  // The generated SQL
+ *         "status": "SUCCEEDED",
+ *         "query_result": {
+ *           "row_count": 25,
+ *           "data_array": [                    // *** THIS IS THE ACTUAL DATA YOU WANT ***
+ *             ["Lewis Hamilton", 103],
+ *             ["Michael Schumacher", 91],
+ *             ["Sebastian Vettel", 53],
+ *             ...
+ *           ],
+ *           "schema": {
+ *             "columns": [
+ *               {"name": "driver", "type": "STRING"},
+ *               {"name": "wins", "type": "LONG"}
+ *             ]
+ *           },
+ *           "truncated": false
+ *         }
+ *       },
+ *       "text": {
+ *         "content": "Based on the query results..."  // Genie's natural language response
+ *       }
+ *     }
+ *   ]
+ * }
+ * 
+ * KEY FIELDS TO EXTRACT:
+ * - attachments[0].query.query_result.data_array: The actual rows of data
+ * - attachments[0].query.query_result.schema.columns: Column names and types
+ * - attachments[0].text.content: Genie's explanation (optional to show)
+ * 
+ * WHY THIS MATTERS: The data_array contains the ACTUAL RESULTS your user wants to see.
+ * This is what you'll parse and display as an HTML table in the frontend.
+ */
+async function pollResult(config, conversationId, messageId, context) {
+    const path = `/api/2.0/genie/spaces/${config.spaceId}/conversations/${conversationId}/messages/${messageId}`;
+    
+    context.log('=== Polling for Result ===');
+    context.log('Path:', path);
+    context.log('Message ID:', messageId);
+    
+    const response = await databricksFetch(config, path, { method: 'GET' }, context);
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Failed to poll result:', errorText);
+        throw new Error(`Failed to poll result: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+    context.log('Poll response received');
+    context.log('Status:', data.status);
+    
+    // Log the full structure so you can see what Genie returns
+    if (data.status === 'COMPLETED') {
+        context.log('=== MESSAGE COMPLETED ===');
+        context.log('Full response structure:', JSON.stringify(data, null, 2));
+        
+        // Log the query result data specifically
+        if (data.attachments && data.attachments.length > 0) {
+            const attachment = data.attachments[0];
+            if (attachment.query && attachment.query.query_result) {
+                context.log('=== QUERY RESULT DATA ===');
+                context.log('Row count:', attachment.query.query_result.row_count);
+                context.log('Columns:', JSON.stringify(attachment.query.query_result.schema?.columns, null, 2));
+                context.log('Data array (first 5 rows):', JSON.stringify(attachment.query.query_result.data_array?.slice(0, 5), null, 2));
+                context.log('Generated SQL:', attachment.query.query);
+            }
+            
+            if (attachment.text) {
+                context.log('Genie explanation:', attachment.text.content);
+            }
+        }
+    } else if (data.status === 'EXECUTING') {
+        context.log('Message still executing... frontend should poll again');
+    } else if (data.status === 'FAILED') {
+        context.log.error('Message failed!');
+        if (data.attachments && data.attachments.length > 0) {
+            context.log.error('Error details:', JSON.stringify(data.attachments[0], null, 2));
+        }
+    }
+    
+    return data;
+}
+
+/**
+ * SEND FEEDBACK
+ * 
+ * PURPOSE: Records a thumbs up/down on one of Genie's answers. The Genie space owners see
+ * these ratings in the space's monitoring view, which tells them which answers were wrong.
+ * 
+ * API ENDPOINT: POST /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages/{message_id}/feedback
+ * 
+ * REQUEST BODY:
+ * {
+ *   "rating": "POSITIVE"    // POSITIVE, NEGATIVE, or NONE to take a rating back
+ * }
+ * 
+ * Databricks answers with an empty object; we return { conversationId, messageId, rating }.
+ */
+async function sendFeedback(config, conversationId, messageId, rating, context) {
+    if (!conversationId || !messageId) {
+        throw new Error('Missing conversationId or messageId for send-feedback');
+    }
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+        throw new Error(`Invalid feedback rating: ${rating} (expected ${FEEDBACK_RATINGS.join(', ')})`);
+    }
+    
+    const path = `/api/2.0/genie/spaces/${config.spaceId}/conversations/${conversationId}/messages/${messageId}/feedback`;
+    
+    context.log('=== Sending Feedback ===');
+    context.log('Path:', path);
+    context.log('Rating:', rating);
+    
+    // Setting a rating twice has the same effect as once, so retries are safe
+    const response = await databricksFetch(config, path, {
+        method: 'POST',
+        body: { rating },
+        idempotent: true
+    }, context);
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Failed to send feedback:', errorText);
+        throw new Error(`Failed to send feedback: ${response.status} ${errorText}`);
+    }
+    
+    context.log('✅ Feedback recorded');
+    return { conversationId, messageId, rating };
+}
+
+/**
+ * REFRESH RESULT
+ * 
+ * PURPOSE: Runs the SQL of an answer's query attachment again. Statement results expire
+ * (the message then reports QUERY_RESULT_EXPIRED and the statement is CLOSED), so old answers
+ * restored in the chat can only show fresh rows by re-executing the query.
+ * 
+ * API ENDPOINT: POST /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages/{message_id}/attachments/{attachment_id}/execute-query
+ * 
+ * RESPONSE STRUCTURE:
+ * {
+ *   "statement_response": {
+ *     "statement_id": "01ef5678-...",        // a new statement - the old one stays CLOSED
+ *     "status": { "state": "SUCCEEDED" },    // or PENDING / RUNNING while the warehouse works
+ *     "manifest": { ... },
+ *     "result": { "data_array": [...], ... }
+ *   }
+ * }
+ * 
+ * Without an attachmentId the message is read first to find its query attachment - answers
+ * saved by older versions of the chat only know the conversation and message.
+ * Statements still PENDING or RUNNING are polled until they finish or config.deadline passes.
+ * Returns the normalized answer (see normalizeAnswer) with the ids of the refreshed attachment.
+ */
+async function refreshResult(config, conversationId, messageId, attachmentId, context) {
+    if (!conversationId || !messageId) {
+        throw new Error('Missing conversationId or messageId for refresh-result');
+    }
+    
+    if (!attachmentId) {
+        const message = await pollResult(config, conversationId, messageId, context);
+        const queryAttachment = (message.attachments || []).find(a => a.query);
+        if (!queryAttachment) {
+            throw new Error(`Message ${messageId} has no query to refresh`);
+        }
+        attachmentId = queryAttachment.attachment_id;
+    }
+    
+    const path = `/api/2.0/genie/spaces/${config.spaceId}/conversations/${conversationId}/messages/${messageId}/attachments/${attachmentId}/execute-query`;
+    
+    context.log('=== Refreshing Result ===');
+    context.log('Path:', path);
+    
+    // The query only reads data, so running it twice after a lost response does no harm
+    const response = await databricksFetch(config, path, {
+        method: 'POST',
+        body: {},
+        idempotent: true
+    }, context);
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Failed to refresh result:', errorText);
+        throw new Error(`Failed to refresh result: ${response.status} ${errorText}`);
+    }
+    
+    const data = await response.json();
+    const first = data.statement_response || {};
+    const statement = await pollWithBackoff(config, first, {
+        label: 'Refresh',
+        state: s => s.status?.state,
+        done: state => !RUNNING_STATEMENT_STATES.includes(state),
+        next: () => getStatement(config, first.statement_id, context),
+        timeout: 'the refreshed query did not finish'
+    }, context);
+    
+    if (statement.status?.state === 'FAILED') {
+        throw new Error(`Failed to refresh result: ${statement.status.error?.message || 'query failed'}`);
+    }
+    
+    context.log('✅ Result refreshed, statement:', statement.statement_id);
+    return {
+        ...normalizeStatementAnswer(statement, statement.statement_id),
+        conversationId,
+        messageId,
+        attachmentId
+    };
+}
+
+/**
+ * Read a statement's current state (and first chunk once it has SUCCEEDED)
+ * API ENDPOINT: GET /api/2.0/sql/statements/{statement_id}
+ */
+async function getStatement(config, statementId, context) {
+    const response = await databricksFetch(config, `/api/2.0/sql/statements/${statementId}`, { method: 'GET' }, context);
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to fetch statement: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+    return response.json();
+}
+
+/**
+ * CANCEL
+ * 
+ * PURPOSE: Stops the SQL statement Genie is running for a message, so a question the user
+ * gave up on does not keep the warehouse busy.
+ * 
+ * API ENDPOINT: POST /api/2.0/sql/statements/{statement_id}/cancel
+ * 
+ * The statement id comes from the request, or from the message (polled once) when the browser
+ * does not know it yet. Before Genie has written its query there is no statement to cancel.
+ * 
+ * RETURNS:
+ * {
+ *   "conversationId": "01ef-conv-id",
+ *   "messageId": "01ef-message-id",
+ *   "statementId": "01ef-statement-id",   // null when there was nothing to cancel
+ *   "cancelled": true
+ * }
+ */
+async function cancelQuery(config, conversationId, messageId, statementId, context) {
+    if (!statementId && (!conversationId || !messageId)) {
+        throw new Error('Missing statementId, or conversationId and messageId, for cancel');
+    }
+    
+    context.log('=== Cancelling Query ===');
+    
+    if (!statementId) {
+        const message = await pollResult(config, conversationId, messageId, context);
+        statementId = getStatementId(message);
+        if (!statementId) {
+            context.log(`Message ${messageId} has no statement yet (${message.status}) - nothing to cancel`);
+            return { conversationId, messageId, statementId: null, cancelled: false };
+        }
+    }
+    
+    const path = `/api/2.0/sql/statements/${statementId}/cancel`;
+    context.log('Path:', path);
+    
+    // Cancelling twice is the same as cancelling once
+    const response = await databricksFetch(config, path, {
+        method: 'POST',
+        body: {},
+        idempotent: true
+    }, context);
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Failed to cancel statement:', errorText);
+        throw new Error(`Failed to cancel statement: ${response.status} ${errorText}`);
+    }
+    
+    context.log('✅ Statement cancelled:', statementId);
+    return { conversationId: conversationId || null, messageId: messageId || null, statementId, cancelled: true };
+}
+
+/**
+ * FETCH STATEMENT RESULT
+ * 
+ * PURPOSE: Fetches the actual query results using the statement ID from Genie.
+ * When Genie executes a query, it returns a statement_id but may not include the actual data.
+ * This function retrieves the data from the SQL Statements API.
+ * 
+ * API ENDPOINT: GET /api/2.0/sql/statements/{statement_id}/result
+ * 
+ * RESPONSE STRUCTURE:
+ * {
+ *   "statement_id": "01ef1234-...",
+ *   "status": { "state": "SUCCEEDED" },
+ *   "manifest": {
+ *     "schema": {
+ *       "columns": [
+ *         { "name": "driver", "type_text": "STRING" },
+ *         { "name": "championships", "type_text": "LONG" }
+ *       ]
+ *     }
+ *   },
+ *   "result": {
+ *     "data_array": [
+ *       ["Sebastian Vettel", 4],
+ *       ["Alain Prost", 4],
+ *       ["Juan Manuel Fangio", 5]
+ *     ],
+ *     "row_count": 3,
+ *     "chunk_index": 0
+ *   }
+ * }
+ */
+async function fetchStatementResult(config, statementId, context) {
+    context.log(`Fetching statement result: ${statementId}`);
+    
+    // Try the result endpoint first
+    let path = `/api/2.0/sql/statements/${statementId}/result`;
+    context.log(`Trying result endpoint: ${path}`);
+    
+    let response = await databricksFetch(config, path, { method: 'GET' }, context);
+    
+    // If 404, the statement might not exist or completed yet, try getting statement status first
+    if (response.status === 404) {
+        context.log('Result endpoint 404, trying statement status endpoint...');
+        path = `/api/2.0/sql/statements/${statementId}`;
+        context.log(`Trying status endpoint: ${path}`);
+        
+        response = await databricksFetch(config, path, { method: 'GET' }, context);
+    }
+    
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Statement fetch failed:', response.status, errorText);
+        context.log.error('Path attempted:', path);
+        throw new Error(`Failed to fetch statement: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+    
+    const data = await response.json();
+    context.log('Statement data fetched successfully');
+    context.log('Response keys:', Object.keys(data));
+    
+    // If we got the statement status, extract the result
+    if (data.result) {
+        context.log('Found result in response');
+        return data;
+    } else if (data.status && data.status.state === 'SUCCEEDED') {
+        context.log('Statement succeeded but no result field, returning full response');
+        return data;
+    } else {
+        context.log.error('Unexpected response structure:', JSON.stringify(data, null, 2));
+        throw new Error('Statement response missing result data');
+    }
+}
+
+/**
+ * FETCH STATEMENT PAGE
+ * 
+ * PURPOSE: Reads any page of a statement result, not just the first chunk.
+ * Large results are split by Databricks into chunks; this walks them so the
+ * browser can ask for rows by page instead of by chunk.
+ * 
+ * API ENDPOINTS:
+ * - GET /api/2.0/sql/statements/{statement_id}                          manifest + first chunk
+ * - GET /api/2.0/sql/statements/{statement_id}/result/chunks/{index}    any later chunk
+ * 
+ * MANIFEST STRUCTURE (the part used here):
+ * {
+ *   "total_row_count": 1100,
+ *   "chunks": [
+ *     { "chunk_index": 0, "row_offset": 0, "row_count": 500 },
+ *     { "chunk_index": 1, "row_offset": 500, "row_count": 500 },
+ *     { "chunk_index": 2, "row_offset": 1000, "row_count": 100 }
+ *   ]
+ * }
+ * 
+ * Each chunk response has "data_array" plus "next_chunk_index" / "next_chunk_internal_link"
+ * while more chunks follow. Only INLINE results (what Genie uses) are supported.
+ * 
+ * PAGE TOKENS: opaque strings from a previous answer's page.nextPageToken / prevPageToken.
+ * No token means the first page.
+ */
+async function fetchStatementPage(config, statementId, pageSize, pageToken, context) {
+    if (!statementId) {
+        throw new Error('Missing statementId for fetch-statement-page');
+    }
+    
+    const offset = decodePageToken(pageToken);
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    context.log(`Fetching statement page: ${statementId}, offset ${offset}, size ${size}`);
+    
+    const path = `/api/2.0/sql/statements/${statementId}`;
+    const response = await databricksFetch(config, path, { method: 'GET' }, context);
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Statement fetch failed:', response.status, errorText);
+        throw new Error(`Failed to fetch statement: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+    const statement = await response.json();
+    const manifest = statement.manifest || {};
+    
+    // A token from another (shorter) result would otherwise walk every chunk to find no rows
+    const totalRows = manifest.total_row_count ?? statement.result?.row_count;
+    if (offset > 0 && Number.isInteger(totalRows) && offset >= totalRows) {
+        throw new Error(`Invalid page token: row ${offset} is past the end of the result (${totalRows} rows)`);
+    }
+    
+    // Start at the chunk holding the first requested row; without a chunk list, walk from chunk 0
+    let chunk = statement.result || null;
+    const target = (manifest.chunks || []).find(c => offset >= c.row_offset && offset < c.row_offset + c.row_count);
+    if (target && (!chunk || (chunk.chunk_index || 0) !== target.chunk_index)) {
+        chunk = await fetchStatementChunk(config, statementId, target.chunk_index, null, context);
+    }
+    
+    const rows = [];
+    while (chunk && rows.length < size) {
+        const chunkRows = chunk.data_array || [];
+        const start = offset + rows.length - (chunk.row_offset || 0);
+        if (start < chunkRows.length) {
+            rows.push(...chunkRows.slice(start, start + size - rows.length));
+        }
+        if (rows.length >= size || chunk.next_chunk_index === undefined) {
+            break;
+        }
+        chunk = await fetchStatementChunk(config, statementId, chunk.next_chunk_index, chunk.next_chunk_internal_link, context);
+    }
+    
+    const answer = normalizeStatementAnswer({ ...statement, result: { data_array: rows } }, statementId);
+    answer.truncated = answer.rowCount > rows.length;
+    answer.page = {
+        offset,
+        pageSize: size,
+        nextPageToken: offset + rows.length < answer.rowCount ? encodePageToken(offset + rows.length) : null,
+        prevPageToken: offset > 0 ? encodePageToken(Math.max(0, offset - size)) : null
+    };
+    
+    context.log(`Page has ${rows.length} of ${answer.rowCount} rows`);
+    return answer;
+}
+
+/**
+ * Fetch one result chunk, following Databricks' next_chunk_internal_link when we have it
+ */
+async function fetchStatementChunk(config, statementId, chunkIndex, internalLink, context) {
+    const path = internalLink || `/api/2.0/sql/statements/${statementId}/result/chunks/${chunkIndex}`;
+    context.log(`Fetching result chunk ${chunkIndex}: ${path}`);
+    
+    const response = await databricksFetch(config, path, { method: 'GET' }, context);
+    if (!response.ok) {
+        const errorText = await response.text();
+        context.log.error('Chunk fetch failed:', response.status, errorText);
+        throw new Error(`Failed to fetch result chunk ${chunkIndex}: ${response.status} ${errorText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Page tokens are the base64url-encoded row offset - opaque to the browser
+ */
+function encodePageToken(offset) {
+    return Buffer.from(String(offset)).toString('base64url');
+}
+
+function decodePageToken(pageToken) {
+    if (pageToken === undefined || pageToken === null || pageToken === '') {
+        return 0;
+    }
+    // Only the exact tokens encodePageToken makes - Number() would read '' or ' 5 ' as an offset
+    const decoded = Buffer.from(String(pageToken), 'base64url').toString();
+    if (!/^\d+$/.test(decoded) || encodePageToken(Number(decoded)) !== String(pageToken)) {
+        throw new Error(`Invalid page token: ${pageToken}`);
+    }
+    return Number(decoded);
+}
+
+/**
+ * ASK
+ * 
+ * PURPOSE: Answers a question in a single call by running the whole Genie flow server-side:
+ * 1. Start a conversation (only when no conversationId is given)
+ * 2. Send the question as a message
+ * 3. Poll the message with backoff until it reaches a terminal status or config.deadline passes
+ * 4. Fetch the statement result when Genie only returned a statement_id
+ * 5. Return one normalized answer (see normalizeAnswer)
+ * 
+ * REQUEST BODY:
+ * {
+ *   "action": "ask",
+ *   "content": "Who has won the most races in F1 history?",
+ *   "conversationId": "01ef-conv-id",   // optional - omitted for the first question
+ *   "timeoutMs": 30000                  // optional - capped at GENIE_REQUEST_TIMEOUT_MS
+ * }
+ * 
+ * WHY: One call per question for callers that don't show progress (scripts, the tests, the
+ * chat re-asking earlier questions in a new conversation). For the question it is answering
+ * the chat polls with send-message and poll-result instead, so it can show every status
+ * while Genie works and cancel the message's query when the user stops it.
+ */
+async function askGenie(config, conversationId, content, context) {
+    if (!content || !content.trim()) {
+        throw new Error('Missing question content for ask');
+    }
+    
+    context.log('=== Ask ===');
+    context.log('Question:', content);
+    context.log('Time budget (ms):', config.timeoutMs);
+    
+    if (!conversationId) {
+        const conversation = await startConversation(config, context);
+        conversationId = conversation.conversation_id;
+    }
+    
+    const sent = await sendMessage(config, conversationId, content, context);
+    const message = await pollWithBackoff(config, sent, {
+        label: 'Ask',
+        state: m => m.status,
+        done: status => TERMINAL_STATUSES.includes(status),
+        next: () => pollResult(config, conversationId, sent.id, context),
+        timeout: 'Genie did not answer'
+    }, context);
+    
+    return buildAnswer(config, { ...message, conversation_id: message.conversation_id || conversationId }, context);
+}
+
+/**
+ * Poll until `done(state(value))`, waiting POLL_DELAYS between polls - the one poll loop
+ * behind askGenie and refreshResult
+ * 
+ * `value` is the first response and `next()` fetches the following ones. A poll that would
+ * start after config.deadline throws "Query timeout - {timeout} within N seconds" instead.
+ */
+async function pollWithBackoff(config, value, { label, state, done, next, timeout }, context) {
+    const pollDelays = getPollDelays();
+    for (let attempt = 0; !done(state(value)); attempt++) {
+        const delay = pollDelays[Math.min(attempt, pollDelays.length - 1)];
+        if (Date.now() + delay > config.deadline) {
+            throw new Error(`Query timeout - ${timeout} within ${Math.round(config.timeoutMs / 1000)} seconds`);
+        }
+        
+        await sleep(delay);
+        value = await next();
+        context.log(`${label} poll ${attempt + 1}: ${state(value)}`);
+    }
+    return value;
+}
+
+/**
+ * Poll delays for pollWithBackoff, from GENIE_POLL_DELAYS_MS when set
+ */
+function getPollDelays() {
+    const delays = (process.env.GENIE_POLL_DELAYS_MS || '')
+        .split(',')
+        .map(d => parseInt(d, 10))
+        .filter(d => d >= 0);
+    return delays.length > 0 ? delays : POLL_DELAYS;
+}
+
+/**
+ * POLL ANSWER
+ * 
+ * PURPOSE: poll-result for the browser - polls the message once and, when it is COMPLETED,
+ * also fetches the statement rows, so the response is a complete normalized answer.
+ */
+async function pollAnswer(config, conversationId, messageId, context) {
+    const message = await pollResult(config, conversationId, messageId, context);
+    return buildAnswer(config, { ...message, conversation_id: message.conversation_id || conversationId }, context);
+}
+
+/**
+ * Turn a polled message into a normalized answer, fetching the rows when needed
+ * Newer Genie responses only carry a statement_id - the rows live in the SQL Statements API
+ */
+async function buildAnswer(config, message, context) {
+    let statement = null;
+    const statementId = getStatementId(message);
+    if (message.status === 'COMPLETED' && statementId && message.query_result?.row_count !== 0) {
+        statement = await fetchStatementResult(config, statementId, context);
+    }
+    return normalizeAnswer(message, statement);
+}
+
+/**
+ * NORMALIZE ANSWER
+ * 
+ * PURPOSE: Flattens a Genie message (plus the optional statement result) into the one answer
+ * shape the proxy returns for every message and statement response (send-message, poll-result,
+ * fetch-statement-result and ask). Callers never need to know which
+ * Genie result format came back - when the Genie API changes, only this function changes.
+ * 
+ * ANSWER SCHEMA:
+ * {
+ *   "conversationId": "01ef-conv-id",        // null for fetch-statement-result
+ *   "messageId": "01ef-message-id",          // null for fetch-statement-result
+ *   "attachmentId": "01ef-attachment-id",    // query attachment (for refresh-result), null without a query
+ *   "status": "COMPLETED",                   // Genie message status, e.g. SUBMITTED, EXECUTING_QUERY, COMPLETED, FAILED
+ *   "error": null,                           // failure reason when status is FAILED
+ *   "text": ["Based on the query results..."],
+ *   "sql": "SELECT driver, COUNT(*) ...",     // null when no query was generated
+ *   "statementId": "01ef-statement-id",       // null for older inline results
+ *   "columns": [{ "name": "driver", "type": "STRING" }, { "name": "wins", "type": "LONG" }],
+ *   "rows": [["Lewis Hamilton", 103], ...],   // values as returned by Databricks (often strings)
+ *   "rowCount": 25,                          // total rows of the query, may exceed rows.length
+ *   "truncated": false,                      // true when rows holds only part of the result
+ *   "suggestions": ["Who has the most pole positions?"],
+ *   "page": {                                // null unless more rows can be fetched with fetch-statement-page
+ *     "offset": 0,                           // index of rows[0] in the full result
+ *     "pageSize": 25,
+ *     "nextPageToken": "MjU",                // null on the last page
+ *     "prevPageToken": null                  // null on the first page
+ *   }
+ * }
+ * 
+ * Column types are upper-case base types without precision: DECIMAL(10,2) -> DECIMAL.
+ */
+function normalizeAnswer(message, statement) {
+    const attachments = message.attachments || [];
+    const queryAttachment = attachments.find(a => a.query);
+    const inlineResult = queryAttachment?.query.query_result;
+    
+    const answer = {
+        conversationId: message.conversation_id || null,
+        messageId: message.id || null,
+        attachmentId: queryAttachment?.attachment_id || null,
+        status: message.status,
+        error: message.status === 'FAILED' ? describeFailure(message) : null,
+        text: attachments.filter(a => a.text && a.text.content).map(a => a.text.content),
+        sql: queryAttachment?.query.query || null,
+        statementId: getStatementId(message),
+        columns: [],
+        rows: [],
+        rowCount: 0,
+        truncated: false,
+        suggestions: attachments
+            .filter(a => a.suggested_questions && a.suggested_questions.questions)
+            .flatMap(a => a.suggested_questions.questions),
+        page: null
+    };
+    
+    if (statement && statement.result) {
+        answer.statementId = statement.statement_id || answer.statementId;
+        answer.columns = normalizeColumns(statement.manifest?.schema?.columns);
+        answer.rows = statement.result.data_array || [];
+        answer.rowCount = statement.manifest?.total_row_count ?? statement.result.row_count ?? answer.rows.length;
+        answer.truncated = Boolean(statement.manifest?.truncated || statement.result.truncated) || answer.rowCount > answer.rows.length;
+        
+        // Only statement results can be paged - inline Genie results have no statement to read from
+        if (answer.statementId && answer.rowCount > answer.rows.length) {
+            answer.page = {
+                offset: 0,
+                pageSize: answer.rows.length,
+                nextPageToken: encodePageToken(answer.rows.length),
+                prevPageToken: null
+            };
+        }
+    } else if (inlineResult) {
+        answer.columns = normalizeColumns(inlineResult.schema?.columns);
+        answer.rows = inlineResult.data_array || [];
+        answer.rowCount = inlineResult.row_count ?? answer.rows.length;
+        answer.truncated = Boolean(inlineResult.truncated);
+    }
+    
+    return answer;
+}
+
+/**
+ * Normalize a SQL Statements API response on its own (fetch-statement-result)
+ * Statement states map onto the message statuses: SUCCEEDED -> COMPLETED, CANCELED -> CANCELLED
+ */
+function normalizeStatementAnswer(statement, statementId) {
+    const state = statement.status?.state || 'SUCCEEDED';
+    const status = { SUCCEEDED: 'COMPLETED', CANCELED: 'CANCELLED', CLOSED: 'QUERY_RESULT_EXPIRED' }[state] || state;
+    
+    return normalizeAnswer({
+        status,
+        error: statement.status?.error?.message,
+        query_result: { statement_id: statement.statement_id || statementId }
+    }, statement);
+}
+
+/**
+ * Column schemas come as { type } from Genie and { type_name, type_text } from the
+ * SQL Statements API - reduce both to { name, type } with an upper-case base type
+ */
+function normalizeColumns(columns) {
+    return (columns || []).map(col => ({
+        name: col.name,
+        type: String(col.type_name || col.type || col.type_text || 'STRING').toUpperCase().replace(/\(.*\)$/, '')
+    }));
+}
+
+/**
+ * Find the statement ID of the executed query (top-level query_result or query attachment)
+ */
+function getStatementId(message) {
+    if (message.query_result && message.query_result.statement_id) {
+        return message.query_result.statement_id;
+    }
+    const queryAttachment = (message.attachments || []).find(a => a.query && a.query.statement_id);
+    return queryAttachment ? queryAttachment.query.statement_id : null;
+}
+
+/**
+ * Build a readable failure reason from a FAILED message
+ */
+function describeFailure(message) {
+    if (typeof message.error === 'string') {
+        return message.error;
+    }
+    if (message.error && message.error.error) {
+        return message.error.error;
+    }
+    if (message.error) {
+        return JSON.stringify(message.error);
+    }
+    return 'Query failed';
+}
+
+/**
+ * Categorize errors to help frontend show appropriate messages
+ */
+function categorizeError(error) {
+    const message = error.message.toLowerCase();
+    
+    // Only the circuit breaker's own error - a Databricks 503 can say "temporarily unavailable" too
+    if (error.circuitOpen) {
+        return 'unavailable';
+    }
+    if (message.includes('conversation expired')) {
+        return 'conversation_expired';
+    }
+    if (message.includes('401') || message.includes('403') || message.includes('unauthorized')) {
+        return 'auth';
+    }
+    if (message.includes('429') || message.includes('rate limit')) {
+        return 'rate_limit';
+    }
+    if (message.includes('timeout')) {
+        return 'timeout';
+    }
+    if (message.includes('network') || message.includes('fetch')) {
+        return 'network';
+    }
+    
+    return 'default';
+}
+
+module.exports = {
+    getConfig,
+    withDeadline,
+    getCircuitStatus,
+    startConversation,
+    sendMessage,
+    pollResult,
+    sendFeedback,
+    refreshResult,
+    cancelQuery,
+    fetchStatementResult,
+    fetchStatementPage,
+    askGenie,
+    pollAnswer,
+    normalizeAnswer,
+    normalizeStatementAnswer,
+    categorizeError
+};
@@ -0,0 +1,172 @@
+/**
+ * Scripted Genie conversations served by the Databricks simulator (./server.js)
+ *
+ * PURPOSE: Each scenario describes how one question plays out - the statuses Genie goes
+ * through, the SQL it writes and the rows the query returns. The simulator picks the first
+ * scenario whose `match` fits the question text, so in the chat (or a test) you choose a
+ * scenario by what you ask:
+ *
+ * | Ask something containing... | Scenario        | What happens                                          |
+ * |-----------------------------|-----------------|-------------------------------------------------------|
+ * | "slow"                      | slow            | Walks through every status, waits for the warehouse   |
+ * | "fail"                      | failed          | Message ends FAILED with an error                     |
+ * | "expired"                   | expired         | Message ends QUERY_RESULT_EXPIRED, statement CLOSED   |
+ * | "truncated"                 | truncated       | Statement reports a truncated result                  |
+ * | "all winners" / "chunked"   | chunked         | 23 rows split over 3 result chunks                    |
+ * | "busy" / "rate limit"       | rate-limited    | First 2 polls of the message get 429                  |
+ * | "no rows" / "empty"         | empty           | Query returns 0 rows                                  |
+ * | anything else               | top-drivers     | Top 5 drivers by wins                                 |
+ *
+ * SCENARIO FIELDS:
+ * {
+ *   "name": "slow",
+ *   "match": /slow/i,
+ *   "statuses": ["ASKING_AI", ...],     // status returned by each poll before the final one
+ *   "finalStatus": "COMPLETED",         // or FAILED / QUERY_RESULT_EXPIRED
+ *   "error": "...",                     // FAILED only
+ *   "text": "...",                      // Genie's text attachment
+ *   "sql": "SELECT ...",                // omitted when Genie writes no query
+ *   "columns": [{ "name": "driver", "type": "STRING" }],
+ *   "rows": [["Lewis Hamilton", "105"]],  // values as strings, like the SQL Statements API
+ *   "chunkSize": 10,                    // rows per result chunk (default: all rows in one chunk)
+ *   "truncated": false,
+ *   "rateLimitedPolls": 0,              // polls answered with 429 before the message is served
+ *   "suggestions": ["..."]
+ * }
+ */
+
+const DRIVER_COLUMNS = [
+    { name: 'driver', type: 'STRING' },
+    { name: 'nationality', type: 'STRING' },
+    { name: 'wins', type: 'LONG' }
+];
+
+const TOP_DRIVERS = [
+    ['Lewis Hamilton', 'British', '105'],
+    ['Michael Schumacher', 'German', '91'],
+    ['Max Verstappen', 'Dutch', '63'],
+    ['Sebastian Vettel', 'German', '53'],
+    ['Alain Prost', 'French', '51']
+];
+
+const TOP_DRIVERS_SQL = 'SELECT driver, nationality, COUNT(*) AS wins FROM f1.race_results WHERE position = 1 GROUP BY driver, nationality ORDER BY wins DESC LIMIT 5';
+
+// 23 seasons of champions - enough rows to need several chunks at chunkSize 10
+const CHAMPIONS = [
+    ['2000', 'Michael Schumacher', 'Ferrari'], ['2001', 'Michael Schumacher', 'Ferrari'],
+    ['2002', 'Michael Schumacher', 'Ferrari'], ['2003', 'Michael Schumacher', 'Ferrari'],
+    ['2004', 'Michael Schumacher', 'Ferrari'], ['2005', 'Fernando Alonso', 'Renault'],
+    ['2006', 'Fernando Alonso', 'Renault'], ['2007', 'Kimi Räikkönen', 'Ferrari'],
+    ['2008', 'Lewis Hamilton', 'McLaren'], ['2009', 'Jenson Button', 'Brawn'],
+    ['2010', 'Sebastian Vettel', 'Red Bull'], ['2011', 'Sebastian Vettel', 'Red Bull'],
+    ['2012', 'Sebastian Vettel', 'Red Bull'], ['2013', 'Sebastian Vettel', 'Red Bull'],
+    ['2014', 'Lewis Hamilton', 'Mercedes'], ['2015', 'Lewis Hamilton', 'Mercedes'],
+    ['2016', 'Nico Rosberg', 'Mercedes'], ['2017', 'Lewis Hamilton', 'Mercedes'],
+    ['2018', 'Lewis Hamilton', 'Mercedes'], ['2019', 'Lewis Hamilton', 'Mercedes'],
+    ['2020', 'Lewis Hamilton', 'Mercedes'], ['2021', 'Max Verstappen', 'Red Bull'],
+    ['2022', 'Max Verstappen', 'Red Bull']
+];
+
+const SUGGESTIONS = [
+    'Who has the most pole positions?',
+    'Which constructor won the most championships?'
+];
+
+const SCENARIOS = [
+    {
+        name: 'slow',
+        match: /slow/i,
+        statuses: ['FILTERING_CONTEXT', 'ASKING_AI', 'PENDING_WAREHOUSE', 'PENDING_WAREHOUSE', 'EXECUTING_QUERY'],
+        finalStatus: 'COMPLETED',
+        text: 'The warehouse had to start first, but here are the top 5 drivers by wins.',
+        sql: TOP_DRIVERS_SQL,
+        columns: DRIVER_COLUMNS,
+        rows: TOP_DRIVERS
+    },
+    {
+        name: 'failed',
+        match: /fail/i,
+        statuses: ['ASKING_AI'],
+        finalStatus: 'FAILED',
+        error: 'Genie could not generate a query for this question'
+    },
+    {
+        name: 'expired',
+        match: /expired/i,
+        statuses: ['ASKING_AI'],
+        finalStatus: 'QUERY_RESULT_EXPIRED',
+        sql: TOP_DRIVERS_SQL,
+        columns: DRIVER_COLUMNS,
+        rows: TOP_DRIVERS
+    },
+    {
+        name: 'truncated',
+        match: /truncated/i,
+        statuses: ['ASKING_AI', 'EXECUTING_QUERY'],
+        finalStatus: 'COMPLETED',
+        text: 'The result was too large, so only part of it is shown.',
+        sql: TOP_DRIVERS_SQL,
+        columns: DRIVER_COLUMNS,
+        rows: TOP_DRIVERS,
+        truncated: true
+    },
+    {
+        name: 'chunked',
+        match: /all winners|chunked/i,
+        statuses: ['ASKING_AI', 'EXECUTING_QUERY'],
+        finalStatus: 'COMPLETED',
+        text: 'Here is every world champion since 2000.',
+        sql: 'SELECT season, driver, constructor FROM f1.champions WHERE season >= 2000 ORDER BY season',
+        columns: [
+            { name: 'season', type: 'INT' },
+            { name: 'driver', type: 'STRING' },
+            { name: 'constructor', type: 'STRING' }
+        ],
+        rows: CHAMPIONS,
+        chunkSize: 10
+    },
+    {
+        name: 'rate-limited',
+        match: /busy|rate limit/i,
+        statuses: ['ASKING_AI'],
+        finalStatus: 'COMPLETED',
+        text: 'Genie was busy for a moment - here are the top 5 drivers by wins.',
+        sql: TOP_DRIVERS_SQL,
+        columns: DRIVER_COLUMNS,
+        rows: TOP_DRIVERS,
+        rateLimitedPolls: 2
+    },
+    {
+        name: 'empty',
+        match: /no rows|empty/i,
+        statuses: ['ASKING_AI'],
+        finalStatus: 'COMPLETED',
+        text: 'No races match that question.',
+        sql: 'SELECT * FROM f1.race_results WHERE season = 1900',
+        columns: DRIVER_COLUMNS,
+        rows: []
+    },
+    {
+        name: 'top-drivers',
+        match: /.*/,
+        statuses: ['ASKING_AI', 'EXECUTING_QUERY'],
+        finalStatus: 'COMPLETED',
+        text: 'Lewis Hamilton has won the most races in F1 history.',
+        sql: TOP_DRIVERS_SQL,
+        columns: DRIVER_COLUMNS,
+        rows: TOP_DRIVERS,
+        suggestions: SUGGESTIONS
+    }
+];
+
+/**
+ * Pick the scenario for a question (the last one matches everything)
+ */
+function findScenario(content) {
+    return SCENARIOS.find(scenario => scenario.match.test(content || ''));
+}
+
+module.exports = {
+    SCENARIOS,
+    findScenario
+};
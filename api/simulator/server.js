@@ -0,0 +1,404 @@
+/**
+ * Databricks simulator: a local stand-in for the Genie and SQL Statements APIs
+ *
+ * PURPOSE: Lets you work on the chat and the API without a Databricks workspace. It answers
+ * the same REST calls the proxy makes, with scripted conversations from ./fixtures.js.
+ * The automated tests in ../tests/ run against it too.
+ *
+ * USAGE:
+ *   node simulator/server.js          (or: npm run simulator)
+ *
+ * then point the functions at it in local.settings.json and run `func start` as usual:
+ *   "DATABRICKS_WORKSPACE_URL": "http://localhost:8787",
+ *   "DATABRICKS_PAT_TOKEN": "sim-token",
+ *   "GENIE_SPACE_ID": "sim-space"
+ *
+ * Any token works, and so do DATABRICKS_CLIENT_ID / DATABRICKS_CLIENT_SECRET (OAuth) - except
+ * the client secret WRONG_CLIENT_SECRET ("sim-wrong-secret"), which the token endpoint rejects.
+ * SIMULATOR_PORT changes the port.
+ *
+ * ENDPOINTS:
+ * - POST /oidc/v1/token
+ * - POST /api/2.0/genie/spaces/{space_id}/start-conversation
+ * - POST /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages
+ * - GET  /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages/{message_id}
+ * - POST /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages/{message_id}/feedback
+ * - POST /api/2.0/genie/spaces/{space_id}/conversations/{conversation_id}/messages/{message_id}/attachments/{attachment_id}/execute-query
+ * - GET  /api/2.0/sql/statements/{statement_id}
+ * - POST /api/2.0/sql/statements/{statement_id}/cancel
+ * - GET  /api/2.0/sql/statements/{statement_id}/result/chunks/{chunk_index}
+ *
+ * Each poll of a message moves it one status along its scenario. Like the real API there is
+ * no GET /api/2.0/sql/statements/{statement_id}/result - it answers 404.
+ *
+ * execute-query runs the scenario's query again as a new statement with fresh rows (also for
+ * expired results). For the "slow" scenario the new statement is still RUNNING in the response
+ * and on the first read after it.
+ *
+ * IN TESTS:
+ * const sim = createSimulator();
+ * process.env.DATABRICKS_WORKSPACE_URL = await sim.listen();
+ * sim.failNext(5, 503);   // the next 5 API requests fail (Retry-After: 0, so retries are instant)
+ * sim.failNext(4, 503, 'Service temporarily unavailable')   // ... with this error message
+ * sim.failNext(1, 429, null, '2')   // ... and this Retry-After header (seconds or an HTTP date)
+ * sim.delayNext(1, 2000)  // the next API request is answered after 2 seconds
+ * sim.requests            // every request received, as { method, path, at } (at: Date.now())
+ * sim.getFeedback(id)     // last rating sent for a message, or null
+ * sim.expireConversation(id)   // Genie forgets the conversation: new messages to it get 404
+ * sim.isCancelled(id)          // whether a statement was cancelled
+ * await sim.close();
+ */
+
+const http = require('http');
+const { findScenario } = require('./fixtures');
+
+const DEFAULT_PORT = 8787;
+const WRONG_CLIENT_SECRET = 'sim-wrong-secret';
+
+/**
+ * Create a simulator (not yet listening)
+ */
+function createSimulator() {
+    let nextId = 1;
+    const conversations = new Map();   // conversation_id -> { spaceId }
+    const messages = new Map();        // message_id -> { message fields, scenario, polls, statementId }
+    const statements = new Map();      // statement_id -> scenario
+    const pending = new Set();         // statement_ids still RUNNING (answered once with that state)
+    const cancelled = new Set();       // statement_ids cancelled through the API
+    const requests = [];
+    let failures = { count: 0, status: 503, message: null, retryAfter: '0' };
+    let delays = { count: 0, ms: 0 };
+
+    const newId = (prefix) => `sim-${prefix}-${nextId++}`;
+
+    const server = http.createServer(async (req, res) => {
+        const path = req.url.split('?')[0];
+        requests.push({ method: req.method, path, at: Date.now() });
+
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(body));
+        };
+        const notFound = (message) => send(404, { error_code: 'RESOURCE_DOES_NOT_EXIST', message });
+
+        if (req.method === 'POST' && path === '/oidc/v1/token') {
+            const authorization = req.headers.authorization || '';
+            const secret = Buffer.from(authorization.slice('Basic '.length), 'base64').toString().split(':')[1];
+            if (!authorization.startsWith('Basic ') || secret === WRONG_CLIENT_SECRET) {
+                return send(401, { error: 'invalid_client', error_description: 'Client authentication failed' });
+            }
+            return send(200, { access_token: newId('oauth-token'), token_type: 'Bearer', expires_in: 3600 });
+        }
+
+        if (!(req.headers.authorization || '').startsWith('Bearer ')) {
+            return send(401, { error_code: 'UNAUTHENTICATED', message: 'Credential was not sent or was of an unsupported type' });
+        }
+
+        if (delays.count > 0) {
+            delays.count--;
+            await new Promise(resolve => setTimeout(resolve, delays.ms));
+        }
+
+        if (failures.count > 0) {
+            failures.count--;
+            return send(failures.status, { error_code: 'TEMPORARILY_UNAVAILABLE', message: failures.message || `Simulated ${failures.status}` }, { 'Retry-After': failures.retryAfter });
+        }
+
+        const body = await readBody(req);
+        let match;
+
+        // START CONVERSATION
+        if (req.method === 'POST' && (match = path.match(/^\/api\/2\.0\/genie\/spaces\/([^/]+)\/start-conversation$/))) {
+            const conversationId = newId('conversation');
+            conversations.set(conversationId, { spaceId: match[1] });
+            return send(200, {
+                conversation_id: conversationId,
+                space_id: match[1],
+                title: body.title || null,
+                created_timestamp: Date.now()
+            });
+        }
+
+        // SEND MESSAGE
+        if (req.method === 'POST' && (match = path.match(/^\/api\/2\.0\/genie\/spaces\/([^/]+)\/conversations\/([^/]+)\/messages$/))) {
+            if (!conversations.has(match[2])) {
+                return notFound(`Conversation ${match[2]} does not exist`);
+            }
+            if (!body.content) {
+                return send(400, { error_code: 'INVALID_PARAMETER_VALUE', message: 'content is required' });
+            }
+
+            const scenario = findScenario(body.content);
+            const record = {
+                id: newId('message'),
+                conversationId: match[2],
+                spaceId: match[1],
+                content: body.content,
+                createdAt: Date.now(),
+                scenario,
+                polls: 0,
+                statementId: scenario.sql ? newId('statement') : null
+            };
+            messages.set(record.id, record);
+            if (record.statementId) {
+                statements.set(record.statementId, scenario);
+            }
+            return send(200, renderMessage(record, 'SUBMITTED'));
+        }
+
+        // POLL MESSAGE
+        if (req.method === 'GET' && (match = path.match(/^\/api\/2\.0\/genie\/spaces\/([^/]+)\/conversations\/([^/]+)\/messages\/([^/]+)$/))) {
+            const record = messages.get(match[3]);
+            if (!record || record.conversationId !== match[2]) {
+                return notFound(`Message ${match[3]} does not exist`);
+            }
+
+            record.polls++;
+            if (record.polls <= (record.scenario.rateLimitedPolls || 0)) {
+                return send(429, { error_code: 'RESOURCE_EXHAUSTED', message: 'Too many requests' }, { 'Retry-After': '0' });
+            }
+
+            const steps = [...record.scenario.statuses, record.scenario.finalStatus];
+            const step = record.polls - 1 - (record.scenario.rateLimitedPolls || 0);
+            return send(200, renderMessage(record, steps[Math.min(step, steps.length - 1)]));
+        }
+
+        // MESSAGE FEEDBACK
+        if (req.method === 'POST' && (match = path.match(/^\/api\/2\.0\/genie\/spaces\/([^/]+)\/conversations\/([^/]+)\/messages\/([^/]+)\/feedback$/))) {
+            const record = messages.get(match[3]);
+            if (!record || record.conversationId !== match[2]) {
+                return notFound(`Message ${match[3]} does not exist`);
+            }
+            if (!['POSITIVE', 'NEGATIVE', 'NONE'].includes(body.rating)) {
+                return send(400, { error_code: 'INVALID_PARAMETER_VALUE', message: `Invalid rating: ${body.rating}` });
+            }
+            record.feedback = body.rating;
+            return send(200, {});
+        }
+
+        // EXECUTE ATTACHMENT QUERY (re-run the answer's SQL)
+        if (req.method === 'POST' && (match = path.match(/^\/api\/2\.0\/genie\/spaces\/([^/]+)\/conversations\/([^/]+)\/messages\/([^/]+)\/attachments\/([^/]+)\/execute-query$/))) {
+            const record = messages.get(match[3]);
+            if (!record || record.conversationId !== match[2] || !record.statementId || match[4] !== `${record.id}-query`) {
+                return notFound(`Attachment ${match[4]} of message ${match[3]} does not exist`);
+            }
+
+            const statementId = newId('statement');
+            const scenario = { ...record.scenario, finalStatus: 'COMPLETED' };
+            statements.set(statementId, scenario);
+            if (scenario.name === 'slow') {
+                pending.add(statementId);
+                return send(200, { statement_response: { statement_id: statementId, status: { state: 'RUNNING' } } });
+            }
+            return send(200, { statement_response: renderStatement(statementId, scenario) });
+        }
+
+        // CANCEL STATEMENT
+        if (req.method === 'POST' && (match = path.match(/^\/api\/2\.0\/sql\/statements\/([^/]+)\/cancel$/))) {
+            if (!statements.has(match[1])) {
+                return notFound(`Statement ${match[1]} does not exist`);
+            }
+            cancelled.add(match[1]);
+            return send(200, {});
+        }
+
+        // STATEMENT (manifest + first chunk)
+        if (req.method === 'GET' && (match = path.match(/^\/api\/2\.0\/sql\/statements\/([^/]+)$/))) {
+            const scenario = statements.get(match[1]);
+            if (cancelled.has(match[1])) {
+                return send(200, { statement_id: match[1], status: { state: 'CANCELED' } });
+            }
+            if (pending.delete(match[1])) {
+                return send(200, { statement_id: match[1], status: { state: 'RUNNING' } });
+            }
+            return scenario ? send(200, renderStatement(match[1], scenario)) : notFound(`Statement ${match[1]} does not exist`);
+        }
+
+        // RESULT CHUNK
+        if (req.method === 'GET' && (match = path.match(/^\/api\/2\.0\/sql\/statements\/([^/]+)\/result\/chunks\/(\d+)$/))) {
+            const scenario = statements.get(match[1]);
+            const chunkIndex = Number(match[2]);
+            if (!scenario || scenario.finalStatus === 'QUERY_RESULT_EXPIRED' || chunkIndex >= getChunks(scenario).length) {
+                return notFound(`Chunk ${chunkIndex} of statement ${match[1]} does not exist`);
+            }
+            return send(200, renderChunk(match[1], scenario, chunkIndex));
+        }
+
+        notFound(`No simulated endpoint for ${req.method} ${path}`);
+    });
+
+    return {
+        server,
+        requests,
+
+        /** Make the next `count` API requests fail with `status` (and `message` / `retryAfter`, when given) */
+        failNext(count, status = 503, message = null, retryAfter = '0') {
+            failures = { count, status, message, retryAfter };
+        },
+
+        /** Answer the next `count` API requests only after `ms` milliseconds */
+        delayNext(count, ms) {
+            delays = { count, ms };
+        },
+
+        /** Forget a conversation, like Genie does after a while - sending to it then answers 404 */
+        expireConversation(conversationId) {
+            conversations.delete(conversationId);
+        },
+
+        /** Whether a statement was cancelled through POST .../cancel */
+        isCancelled(statementId) {
+            return cancelled.has(statementId);
+        },
+
+        /** Last feedback rating sent for a message (null when none was sent) */
+        getFeedback(messageId) {
+            const record = messages.get(messageId);
+            return (record && record.feedback) || null;
+        },
+
+        /** Start listening; resolves with the workspace URL (port 0 picks a free port) */
+        listen(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+/**
+ * A Genie message as the API returns it at the given status
+ * The query attachment appears once Genie has written the SQL (EXECUTING_QUERY onwards)
+ */
+function renderMessage(record, status) {
+    const { scenario } = record;
+    const message = {
+        id: record.id,
+        conversation_id: record.conversationId,
+        space_id: record.spaceId,
+        content: record.content,
+        status,
+        created_timestamp: record.createdAt,
+        last_updated_timestamp: Date.now(),
+        attachments: []
+    };
+
+    const hasQuery = scenario.sql && ['EXECUTING_QUERY', 'COMPLETED', 'QUERY_RESULT_EXPIRED'].includes(status);
+    if (hasQuery) {
+        message.attachments.push({
+            attachment_id: `${record.id}-query`,
+            query: {
+                query: scenario.sql,
+                description: `Simulated query (${scenario.name})`,
+                statement_id: record.statementId
+            }
+        });
+    }
+
+    if (status === 'COMPLETED') {
+        message.query_result = record.statementId
+            ? { statement_id: record.statementId, row_count: scenario.rows.length }
+            : undefined;
+        if (scenario.text) {
+            message.attachments.push({ attachment_id: `${record.id}-text`, text: { content: scenario.text } });
+        }
+        if (scenario.suggestions) {
+            message.attachments.push({ attachment_id: `${record.id}-suggestions`, suggested_questions: { questions: scenario.suggestions } });
+        }
+    }
+
+    if (status === 'FAILED') {
+        message.error = { error: scenario.error, type: 'GENERIC_ERROR' };
+    }
+
+    return message;
+}
+
+/**
+ * A statement as GET /api/2.0/sql/statements/{id} returns it: manifest plus the first chunk
+ * Statements of expired results are CLOSED and carry no rows any more
+ */
+function renderStatement(statementId, scenario) {
+    if (scenario.finalStatus === 'QUERY_RESULT_EXPIRED') {
+        return { statement_id: statementId, status: { state: 'CLOSED' } };
+    }
+
+    const chunks = getChunks(scenario);
+    return {
+        statement_id: statementId,
+        status: { state: 'SUCCEEDED' },
+        manifest: {
+            format: 'JSON_ARRAY',
+            schema: {
+                column_count: scenario.columns.length,
+                columns: scenario.columns.map((col, position) => ({
+                    name: col.name,
+                    type_name: col.type,
+                    type_text: col.type,
+                    position
+                }))
+            },
+            total_row_count: scenario.rows.length,
+            total_chunk_count: chunks.length,
+            chunks: chunks.map(({ chunk_index, row_offset, row_count }) => ({ chunk_index, row_offset, row_count })),
+            truncated: Boolean(scenario.truncated)
+        },
+        result: renderChunk(statementId, scenario, 0)
+    };
+}
+
+function renderChunk(statementId, scenario, chunkIndex) {
+    const chunks = getChunks(scenario);
+    const chunk = { ...chunks[chunkIndex] };
+    if (chunkIndex + 1 < chunks.length) {
+        chunk.next_chunk_index = chunkIndex + 1;
+        chunk.next_chunk_internal_link = `/api/2.0/sql/statements/${statementId}/result/chunks/${chunkIndex + 1}`;
+    }
+    return chunk;
+}
+
+/**
+ * Split a scenario's rows into result chunks of scenario.chunkSize rows (one chunk by default)
+ */
+function getChunks(scenario) {
+    const size = scenario.chunkSize || Math.max(scenario.rows.length, 1);
+    const chunks = [];
+    for (let offset = 0; offset === 0 || offset < scenario.rows.length; offset += size) {
+        const rows = scenario.rows.slice(offset, offset + size);
+        chunks.push({ chunk_index: chunks.length, row_offset: offset, row_count: rows.length, data_array: rows });
+    }
+    return chunks;
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+}
+
+module.exports = { createSimulator };
+
+// Run standalone: node simulator/server.js
+if (require.main === module) {
+    const port = parseInt(process.env.SIMULATOR_PORT, 10) || DEFAULT_PORT;
+    createSimulator().listen(port).then(url => {
+        console.log(`🏁 Databricks simulator listening on ${url}`);
+        console.log('Set in local.settings.json:');
+        console.log(`  "DATABRICKS_WORKSPACE_URL": "${url}"`);
+        console.log('  "DATABRICKS_PAT_TOKEN": "sim-token"');
+        console.log('  "GENIE_SPACE_ID": "sim-space"');
+    });
+}
@@ -2,7 +2,7 @@
  * Local Test Script for Databricks Genie API Integration
  * 
  * This script tests the Azure Function locally without deploying.
- * It validates all three API operations: start-conversation, send-message, poll-result
+ * It validates the API operations: start-conversation, send-message, poll-result and ask
  * 
  * PREREQUISITES:
  * 1. Install dependencies: npm install
@@ -19,6 +19,9 @@ const fetch = require('node-fetch');
 const API_BASE_URL = 'http://localhost:7071/api/genie';
 const TEST_QUERY = 'Show me the top 5 drivers';
 
+// Message statuses while Genie is still working on the question
+const IN_PROGRESS_STATUSES = ['SUBMITTED', 'FILTERING_CONTEXT', 'ASKING_AI', 'PENDING_WAREHOUSE', 'EXECUTING_QUERY', 'EXECUTING'];
+
 // ANSI color codes for pretty output
 const colors = {
     reset: '\x1b[0m',
@@ -162,9 +165,9 @@ async function testSendMessage(conversationId) {
         
         if (result.success) {
             logSuccess('Message sent successfully');
-            logInfo(`Message ID: ${result.data.id}`);
+            logInfo(`Message ID: ${result.data.messageId}`);
             logInfo(`Status: ${result.data.status}`);
-            return result.data.id;
+            return result.data.messageId;
         } else {
             logError('Failed to send message');
             console.log('Error:', result.error);
@@ -221,11 +224,18 @@ async function testPollResult(conversationId, messageId) {
             log(`Status: ${status}`, status === 'COMPLETED' ? 'green' : 'yellow');
             
             // Check if still processing
-            if (status === 'EXECUTING' || status === 'FILTERING_CONTEXT' || status === 'QUERY_RESULT_EXPIRED') {
+            if (IN_PROGRESS_STATUSES.includes(status)) {
                 continue; // Keep polling
             } else if (status === 'COMPLETED') {
                 logSuccess('Query completed!');
                 return result.data;
+            } else if (status === 'QUERY_RESULT_EXPIRED') {
+                // Final, but the rows are gone - run the query again like the chat does
+                logWarning('Result expired before it was read, re-running the query...');
+                return refreshExpiredResult(result.data);
+            } else if (status === 'CANCELLED') {
+                logError('Query was cancelled');
+                return null;
             } else if (status === 'FAILED') {
                 logError('Query failed');
                 console.log('Failure details:', result.data);
@@ -244,6 +254,37 @@ async function testPollResult(conversationId, messageId) {
     return null;
 }
 
+/**
+ * Re-run the query of an answer whose result expired (refresh-result) and return the
+ * answer with the fresh rows
+ */
+async function refreshExpiredResult(answer) {
+    const response = await fetch(API_BASE_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            action: 'refresh-result',
+            conversationId: answer.conversationId,
+            messageId: answer.messageId,
+            attachmentId: answer.attachmentId
+        })
+    });
+    
+    const result = await response.json();
+    
+    if (!result.success) {
+        logError('Refresh failed');
+        console.log('Error:', result.error);
+        return null;
+    }
+    
+    logSuccess(`Query re-run, status: ${result.data.status}`);
+    const { status, statementId, columns, rows, rowCount, truncated } = result.data;
+    return { ...answer, status, statementId, columns, rows, rowCount, truncated };
+}
+
 /**
  * Test 5: Validate Result Data
  */
@@ -256,57 +297,47 @@ function testValidateResult(result) {
     }
     
     try {
-        // Check for attachments
-        if (!result.attachments || result.attachments.length === 0) {
-            logWarning('No attachments found in result');
+        // Every answer from the proxy has the same normalized shape
+        const missing = ['status', 'text', 'sql', 'columns', 'rows', 'rowCount', 'truncated', 'suggestions']
+            .filter(field => !(field in result));
+        if (missing.length > 0) {
+            logError(`Answer is missing fields: ${missing.join(', ')}`);
             console.log('Result structure:', JSON.stringify(result, null, 2));
             return false;
         }
         
-        logSuccess(`Found ${result.attachments.length} attachment(s)`);
+        logSuccess('Answer has the normalized shape');
+        logInfo(`Row count: ${result.rowCount}`);
+        logInfo(`Columns: ${result.columns.length}`);
+        logInfo(`Truncated: ${result.truncated}`);
         
-        const attachment = result.attachments[0];
+        // Display column names
+        if (result.columns.length > 0) {
+            console.log('\n📋 Column Schema:');
+            result.columns.forEach((col, i) => {
+                console.log(`  ${i + 1}. ${col.name} (${col.type})`);
+            });
+        }
         
-        // Check for query result
-        if (attachment.query && attachment.query.query_result) {
-            const queryResult = attachment.query.query_result;
-            
-            logSuccess('Query result found');
-            logInfo(`Row count: ${queryResult.row_count}`);
-            logInfo(`Columns: ${queryResult.schema?.columns?.length || 0}`);
-            logInfo(`Truncated: ${queryResult.truncated}`);
-            
-            // Display column names
-            if (queryResult.schema && queryResult.schema.columns) {
-                console.log('\n📋 Column Schema:');
-                queryResult.schema.columns.forEach((col, i) => {
-                    console.log(`  ${i + 1}. ${col.name} (${col.type})`);
-                });
-            }
-            
-            // Display sample data
-            if (queryResult.data_array && queryResult.data_array.length > 0) {
-                console.log('\n📊 Sample Data (first 3 rows):');
-                queryResult.data_array.slice(0, 3).forEach((row, i) => {
-                    console.log(`  Row ${i + 1}:`, row);
-                });
-                logSuccess('Data validation passed');
-            } else {
-                logWarning('No data rows found');
-            }
-            
-            // Display generated SQL
-            if (attachment.query.query) {
-                console.log('\n🔍 Generated SQL:');
-                console.log(attachment.query.query);
-            }
-            
-            return true;
+        // Display sample data
+        if (result.rows.length > 0) {
+            console.log('\n📊 Sample Data (first 3 rows):');
+            result.rows.slice(0, 3).forEach((row, i) => {
+                console.log(`  Row ${i + 1}:`, row);
+            });
+            logSuccess('Data validation passed');
         } else {
-            logError('No query result found in attachment');
-            console.log('Attachment structure:', JSON.stringify(attachment, null, 2));
-            return false;
+            logWarning('No data rows found');
         }
+        
+        // Display Genie's explanation and the generated SQL
+        result.text.forEach(text => logInfo(`Genie: ${text}`));
+        if (result.sql) {
+            console.log('\n🔍 Generated SQL:');
+            console.log(result.sql);
+        }
+        
+        return result.columns.length > 0 || result.text.length > 0;
     } catch (error) {
         logError(`Validation error: ${error.message}`);
         console.log('Result:', JSON.stringify(result, null, 2));
@@ -314,6 +345,66 @@ function testValidateResult(result) {
     }
 }
 
+/**
+ * Test 6: Ask (single call - send, poll and fetch on the server)
+ */
+async function testAsk(conversationId) {
+    logSection('TEST 6: Ask (single call)');
+    
+    try {
+        logInfo(`Query: "${TEST_QUERY}"`);
+        logInfo('Calling ask...');
+        
+        const response = await fetch(API_BASE_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                action: 'ask',
+                conversationId: conversationId,
+                content: TEST_QUERY
+            })
+        });
+        
+        const result = await response.json();
+        
+        if (!result.success) {
+            logError('Ask failed');
+            console.log('Error:', result.error);
+            return false;
+        }
+        
+        let answer = result.data;
+        log(`Status: ${answer.status}`, answer.status === 'COMPLETED' ? 'green' : 'yellow');
+        
+        if (answer.status === 'QUERY_RESULT_EXPIRED') {
+            logWarning('Result expired before it was read, re-running the query...');
+            answer = await refreshExpiredResult(answer);
+            if (!answer) {
+                return false;
+            }
+        }
+        
+        if (answer.status !== 'COMPLETED') {
+            logError(`Ask did not complete: ${answer.error}`);
+            return false;
+        }
+        
+        logSuccess('Ask returned a normalized answer');
+        logInfo(`Message ID: ${answer.messageId}`);
+        logInfo(`Columns: ${answer.columns.map(col => `${col.name} (${col.type})`).join(', ') || 'none'}`);
+        logInfo(`Rows: ${answer.rows.length} of ${answer.rowCount}${answer.truncated ? ' (truncated)' : ''}`);
+        if (answer.text.length > 0) {
+            logInfo(`Text: ${answer.text[0]}`);
+        }
+        return true;
+    } catch (error) {
+        logError(`Exception: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Main Test Runner
  */
@@ -336,7 +427,7 @@ async function runAllTests() {
         logError('\n❌ Tests aborted - Could not start conversation');
         logWarning('Check your environment variables in local.settings.json:');
         logWarning('  - DATABRICKS_WORKSPACE_URL');
-        logWarning('  - DATABRICKS_PAT_TOKEN');
+        logWarning('  - DATABRICKS_PAT_TOKEN (or DATABRICKS_CLIENT_ID + DATABRICKS_CLIENT_SECRET)');
         logWarning('  - GENIE_SPACE_ID');
         process.exit(1);
     }
@@ -358,11 +449,14 @@ async function runAllTests() {
     // Test 5: Validate Result
     const isValid = testValidateResult(result);
     
+    // Test 6: Ask in the same conversation
+    const askOk = await testAsk(conversationId);
+    
     // Summary
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
     logSection('TEST SUMMARY');
-    if (isValid) {
+    if (isValid && askOk) {
         logSuccess(`All tests passed in ${duration} seconds! 🎉`);
         logInfo('Your Genie integration is working correctly');
         process.exit(0);
@@ -0,0 +1,81 @@
+/**
+ * Circuit breaker tests, in their own file (and so their own process) because the
+ * circuit state is shared by everything in a function instance
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSimulator, invoke, callGenie } = require('./helpers');
+
+const COOLDOWN_MS = 100;
+
+let sim;
+
+before(async () => {
+    process.env.GENIE_CIRCUIT_COOLDOWN_MS = String(COOLDOWN_MS);
+    sim = await startSimulator();
+});
+
+after(async () => {
+    await sim.close();
+});
+
+const health = async () => JSON.parse((await invoke(require('../genie'), { method: 'GET' })).body).upstream;
+
+test('a wrong OAuth secret is an auth error and never opens the circuit', async () => {
+    process.env.DATABRICKS_CLIENT_ID = 'sim-client';
+    process.env.DATABRICKS_CLIENT_SECRET = 'sim-wrong-secret';
+    try {
+        for (let i = 0; i < 6; i++) {
+            const { status, body } = await callGenie({ action: 'start-conversation' });
+            assert.equal(status, 500);
+            assert.equal(body.type, 'auth');
+        }
+        assert.equal((await health()).state, 'closed');
+    } finally {
+        delete process.env.DATABRICKS_CLIENT_ID;
+        delete process.env.DATABRICKS_CLIENT_SECRET;
+    }
+});
+
+test('the circuit opens after repeated failures, fails fast, and closes after a good probe', async () => {
+    // 5 calls x 4 attempts each (503 is retried even for start-conversation)
+    sim.failNext(20, 503);
+    for (let i = 0; i < 5; i++) {
+        const { status } = await callGenie({ action: 'start-conversation' });
+        assert.equal(status, 500);
+    }
+    assert.equal((await health()).state, 'open');
+
+    // While open, nothing reaches Databricks
+    const requests = sim.requests.length;
+    const { status, headers, body } = await callGenie({ action: 'start-conversation' });
+    assert.equal(status, 503);
+    assert.equal(body.type, 'unavailable');
+    assert.ok(body.retryAfterMs > 0 && body.retryAfterMs <= COOLDOWN_MS);
+    assert.equal(headers['Retry-After'], '1');
+    assert.equal(sim.requests.length, requests);
+
+    // After the cooldown one probe goes through and closes the circuit
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 20));
+    assert.equal((await health()).state, 'half-open');
+
+    const probe = await callGenie({ action: 'start-conversation' });
+    assert.equal(probe.status, 200);
+    assert.deepEqual(await health(), { state: 'closed', retryAfterMs: 0 });
+});
+
+test('a failed probe opens the circuit again', async () => {
+    sim.failNext(20, 503);
+    for (let i = 0; i < 5; i++) {
+        await callGenie({ action: 'start-conversation' });
+    }
+    await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 20));
+
+    sim.failNext(4, 503);
+    const probe = await callGenie({ action: 'start-conversation' });
+    assert.equal(probe.status, 500);
+    assert.equal((await health()).state, 'open');
+
+    sim.failNext(0);
+});
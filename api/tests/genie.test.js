@@ -0,0 +1,603 @@
+/**
+ * Tests for the genie proxy function - every action, against the Databricks simulator
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSimulator, invoke, callGenie } = require('./helpers');
+
+let sim;
+
+before(async () => {
+    sim = await startSimulator();
+});
+
+after(async () => {
+    await sim.close();
+});
+
+const countRequests = (method, pattern) => sim.requests.filter(r => r.method === method && pattern.test(r.path)).length;
+
+test('GET returns the health check with the circuit state', async () => {
+    const res = await invoke(require('../genie'), { method: 'GET' });
+    const body = JSON.parse(res.body);
+
+    assert.equal(res.status, 200);
+    assert.equal(body.message, 'Genie API is running');
+    assert.deepEqual(body.upstream, { state: 'closed', retryAfterMs: 0 });
+});
+
+test('OPTIONS answers the CORS preflight', async () => {
+    const res = await invoke(require('../genie'), { method: 'OPTIONS' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Access-Control-Allow-Origin'], '*');
+});
+
+test('start-conversation returns the Databricks conversation', async () => {
+    const { status, body } = await callGenie({ action: 'start-conversation' });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.data.conversation_id, /^sim-conversation-/);
+    assert.equal(body.data.space_id, 'sim-space');
+});
+
+test('send-message returns a normalized answer for the new message', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+
+    const { body } = await callGenie({ action: 'send-message', conversationId, content: 'Show me the top 5 drivers' });
+
+    assert.equal(body.success, true);
+    assert.equal(body.data.conversationId, conversationId);
+    assert.match(body.data.messageId, /^sim-message-/);
+    assert.equal(body.data.status, 'SUBMITTED');
+    assert.deepEqual(body.data.rows, []);
+});
+
+test('send-message reports an expired conversation', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    sim.expireConversation(conversationId);
+
+    const { status, body } = await callGenie({ action: 'send-message', conversationId, content: 'Show me the top 5 drivers' });
+
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+    assert.equal(body.type, 'conversation_expired');
+    assert.match(body.error, new RegExp(`Conversation expired - ${conversationId}`));
+});
+
+test('send-message to an unknown conversation is reported as expired', async () => {
+    const { body } = await callGenie({ action: 'send-message', conversationId: 'no-such-conversation', content: 'Show me the top 5 drivers' });
+
+    assert.equal(body.type, 'conversation_expired');
+});
+
+test('send-message is retried after a 429 but not after a 502', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    const sent = () => countRequests('POST', /\/messages$/);
+
+    let before = sent();
+    sim.failNext(1, 429);
+    const throttled = await callGenie({ action: 'send-message', conversationId, content: 'Who won in 1988?' });
+    assert.equal(throttled.body.success, true);
+    assert.equal(sent() - before, 2);
+
+    before = sent();
+    sim.failNext(1, 502);
+    const failed = await callGenie({ action: 'send-message', conversationId, content: 'Who won in 1988?' });
+    assert.equal(failed.status, 500);
+    assert.match(failed.body.error, /Failed to send message: 502/);
+    assert.equal(sent() - before, 1);
+});
+
+test('a Retry-After in seconds sets the delay before the retry', async () => {
+    const before = sim.requests.length;
+    sim.failNext(1, 503, null, '1');
+    const { status } = await callGenie({ action: 'start-conversation' });
+    assert.equal(status, 200);
+
+    const [failed, retried] = sim.requests.slice(before);
+    assert.ok(retried.at - failed.at >= 950, `retried after ${retried.at - failed.at}ms`);
+});
+
+test('a Retry-After HTTP date sets the delay before the retry', async () => {
+    const before = sim.requests.length;
+    // HTTP dates have whole seconds, so this is between 1 and 2 seconds from now
+    sim.failNext(1, 503, null, new Date(Date.now() + 2000).toUTCString());
+    const { status } = await callGenie({ action: 'start-conversation' });
+    assert.equal(status, 200);
+
+    const [failed, retried] = sim.requests.slice(before);
+    const waited = retried.at - failed.at;
+    assert.ok(waited >= 950 && waited <= 2100, `retried after ${waited}ms`);
+});
+
+test('a Databricks 503 saying "temporarily unavailable" is not reported as an open circuit', async () => {
+    // 1 call x 4 attempts - retried like any 503, then reported as a plain failure
+    sim.failNext(4, 503, 'Service temporarily unavailable');
+    const { status, headers, body } = await callGenie({ action: 'start-conversation' });
+    assert.equal(status, 500);
+    assert.notEqual(body.type, 'unavailable');
+    assert.match(body.error, /503/);
+    assert.equal(headers['Retry-After'], undefined);
+});
+
+test('poll-result walks the statuses and returns the rows once COMPLETED', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    const sent = await callGenie({ action: 'send-message', conversationId, content: 'Show me the top 5 drivers' });
+    const messageId = sent.body.data.messageId;
+
+    const statuses = [];
+    let answer;
+    do {
+        answer = (await callGenie({ action: 'poll-result', conversationId, messageId })).body.data;
+        statuses.push(answer.status);
+    } while (answer.status !== 'COMPLETED' && statuses.length < 10);
+
+    assert.deepEqual(statuses, ['ASKING_AI', 'EXECUTING_QUERY', 'COMPLETED']);
+    assert.equal(answer.messageId, messageId);
+    assert.match(answer.sql, /^SELECT driver/);
+    assert.deepEqual(answer.columns, [
+        { name: 'driver', type: 'STRING' },
+        { name: 'nationality', type: 'STRING' },
+        { name: 'wins', type: 'LONG' }
+    ]);
+    assert.equal(answer.rows.length, 5);
+    assert.deepEqual(answer.rows[0], ['Lewis Hamilton', 'British', '105']);
+    assert.equal(answer.rowCount, 5);
+    assert.equal(answer.truncated, false);
+    assert.equal(answer.page, null);
+    assert.deepEqual(answer.text, ['Lewis Hamilton has won the most races in F1 history.']);
+    assert.equal(answer.suggestions.length, 2);
+});
+
+test('poll-result reports QUERY_RESULT_EXPIRED', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    const sent = await callGenie({ action: 'send-message', conversationId, content: 'Show me the expired result' });
+    const messageId = sent.body.data.messageId;
+
+    await callGenie({ action: 'poll-result', conversationId, messageId });
+    const { body } = await callGenie({ action: 'poll-result', conversationId, messageId });
+
+    assert.equal(body.data.status, 'QUERY_RESULT_EXPIRED');
+    assert.deepEqual(body.data.rows, []);
+    assert.match(body.data.statementId, /^sim-statement-/);
+    assert.equal(body.data.attachmentId, `${messageId}-query`);
+});
+
+test('poll-result fails for an unknown message', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+
+    const { status, body } = await callGenie({
+        action: 'poll-result',
+        conversationId: conversation.body.data.conversation_id,
+        messageId: 'no-such-message'
+    });
+
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+    assert.match(body.error, /Failed to poll result: 404/);
+});
+
+test('send-feedback records a rating on the message and can take it back', async () => {
+    const asked = await callGenie({ action: 'ask', content: 'Show me the top 5 drivers' });
+    const { conversationId, messageId } = asked.body.data;
+
+    const { body } = await callGenie({ action: 'send-feedback', conversationId, messageId, rating: 'NEGATIVE' });
+    assert.equal(body.success, true);
+    assert.deepEqual(body.data, { conversationId, messageId, rating: 'NEGATIVE' });
+    assert.equal(sim.getFeedback(messageId), 'NEGATIVE');
+
+    await callGenie({ action: 'send-feedback', conversationId, messageId, rating: 'NONE' });
+    assert.equal(sim.getFeedback(messageId), 'NONE');
+});
+
+test('send-feedback rejects bad input', async () => {
+    const asked = await callGenie({ action: 'ask', content: 'Show me the top 5 drivers' });
+    const { conversationId, messageId } = asked.body.data;
+    const sent = countRequests('POST', /\/feedback$/);
+
+    const invalid = await callGenie({ action: 'send-feedback', conversationId, messageId, rating: 'MEH' });
+    assert.match(invalid.body.error, /Invalid feedback rating: MEH/);
+
+    const missing = await callGenie({ action: 'send-feedback', conversationId, rating: 'POSITIVE' });
+    assert.match(missing.body.error, /Missing conversationId or messageId/);
+    assert.equal(countRequests('POST', /\/feedback$/), sent);
+
+    const unknown = await callGenie({ action: 'send-feedback', conversationId, messageId: 'no-such-message', rating: 'POSITIVE' });
+    assert.match(unknown.body.error, /Failed to send feedback: 404/);
+});
+
+test('ask answers a question in one call', async () => {
+    const { body } = await callGenie({ action: 'ask', content: 'Show me the top 5 drivers' });
+
+    assert.equal(body.success, true);
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.match(body.data.conversationId, /^sim-conversation-/);
+    assert.equal(body.data.rows.length, 5);
+    assert.equal(body.data.error, null);
+});
+
+test('ask continues an existing conversation', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    const started = countRequests('POST', /start-conversation$/);
+
+    const { body } = await callGenie({ action: 'ask', conversationId, content: 'And who is second?' });
+
+    assert.equal(body.data.conversationId, conversationId);
+    assert.equal(countRequests('POST', /start-conversation$/), started);
+});
+
+test('ask reports an expired conversation instead of starting a new one', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    sim.expireConversation(conversationId);
+    const started = countRequests('POST', /start-conversation$/);
+
+    const { body } = await callGenie({ action: 'ask', conversationId, content: 'And who is second?' });
+
+    assert.equal(body.type, 'conversation_expired');
+    assert.equal(countRequests('POST', /start-conversation$/), started);
+});
+
+test('ask waits through slow statuses', async () => {
+    const { body } = await callGenie({ action: 'ask', content: 'A slow question about wins' });
+
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.equal(body.data.rows.length, 5);
+});
+
+test('ask returns FAILED answers with the reason', async () => {
+    const { status, body } = await callGenie({ action: 'ask', content: 'This one will fail' });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.status, 'FAILED');
+    assert.equal(body.data.error, 'Genie could not generate a query for this question');
+    assert.equal(body.data.sql, null);
+});
+
+test('ask marks truncated results', async () => {
+    const { body } = await callGenie({ action: 'ask', content: 'Give me a truncated result' });
+
+    assert.equal(body.data.truncated, true);
+    assert.equal(body.data.rows.length, 5);
+});
+
+test('ask retries rate-limited polls', async () => {
+    const { body } = await callGenie({ action: 'ask', content: 'Ask while Genie is busy' });
+
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.equal(body.data.rows.length, 5);
+});
+
+test('ask skips the statement fetch for empty results', async () => {
+    const fetched = countRequests('GET', /\/sql\/statements\//);
+
+    const { body } = await callGenie({ action: 'ask', content: 'Races with no rows' });
+
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.deepEqual(body.data.rows, []);
+    assert.equal(body.data.rowCount, 0);
+    assert.equal(countRequests('GET', /\/sql\/statements\//), fetched);
+});
+
+test('a Databricks request that hangs is aborted when the budget runs out', async () => {
+    sim.delayNext(1, 2000);
+    const started = Date.now();
+    const { status, body } = await callGenie({ action: 'start-conversation', timeoutMs: 300 });
+
+    assert.equal(status, 500);
+    assert.equal(body.type, 'timeout');
+    assert.match(body.error, /Query timeout/);
+    assert.ok(Date.now() - started < 1500, 'the request was not cut off at the deadline');
+});
+
+test('ask gives up with a timeout error when the budget runs out', async () => {
+    const { status, body } = await callGenie({ action: 'ask', content: 'A slow question', timeoutMs: 1 });
+
+    assert.equal(status, 500);
+    assert.equal(body.type, 'timeout');
+    assert.match(body.error, /Query timeout/);
+});
+
+test('ask rejects an empty question', async () => {
+    const { status, body } = await callGenie({ action: 'ask', content: '  ' });
+
+    assert.equal(status, 500);
+    assert.match(body.error, /Missing question content/);
+});
+
+test('ask returns the first chunk of a chunked result with a next page', async () => {
+    const { body } = await callGenie({ action: 'ask', content: 'Show all winners since 2000' });
+
+    assert.equal(body.data.rows.length, 10);
+    assert.equal(body.data.rowCount, 23);
+    assert.equal(body.data.truncated, true);
+    assert.deepEqual(body.data.page, { offset: 0, pageSize: 10, nextPageToken: 'MTA', prevPageToken: null });
+    assert.deepEqual(body.data.columns.map(c => c.type), ['INT', 'STRING', 'STRING']);
+});
+
+test('cancel finds the running statement of a message and cancels it', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    const sent = await callGenie({ action: 'send-message', conversationId, content: 'A slow question about wins' });
+    const messageId = sent.body.data.messageId;
+    for (let i = 0; i < 4; i++) {
+        await callGenie({ action: 'poll-result', conversationId, messageId });
+    }
+
+    const { body } = await callGenie({ action: 'cancel', conversationId, messageId });
+
+    assert.equal(body.success, true);
+    assert.equal(body.data.cancelled, true);
+    assert.match(body.data.statementId, /^sim-statement-/);
+    assert.equal(sim.isCancelled(body.data.statementId), true);
+});
+
+test('cancel does nothing before Genie has written a query', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    const sent = await callGenie({ action: 'send-message', conversationId, content: 'A slow question about wins' });
+    const cancels = countRequests('POST', /\/cancel$/);
+
+    const { body } = await callGenie({ action: 'cancel', conversationId, messageId: sent.body.data.messageId });
+
+    assert.deepEqual(body.data, { conversationId, messageId: sent.body.data.messageId, statementId: null, cancelled: false });
+    assert.equal(countRequests('POST', /\/cancel$/), cancels);
+});
+
+test('cancel takes a statement id directly and rejects bad input', async () => {
+    const answer = (await callGenie({ action: 'ask', content: 'Show me the top 5 drivers' })).body.data;
+
+    const direct = await callGenie({ action: 'cancel', statementId: answer.statementId });
+    assert.equal(direct.body.data.cancelled, true);
+    assert.equal(sim.isCancelled(answer.statementId), true);
+
+    const missing = await callGenie({ action: 'cancel', conversationId: answer.conversationId });
+    assert.match(missing.body.error, /Missing statementId, or conversationId and messageId/);
+
+    const unknown = await callGenie({ action: 'cancel', statementId: 'no-such-statement' });
+    assert.match(unknown.body.error, /Failed to cancel statement: 404/);
+});
+
+test('fetch-statement-result returns the statement rows', async () => {
+    const asked = await callGenie({ action: 'ask', content: 'Show me the top 5 drivers' });
+    const { statementId } = asked.body.data;
+
+    const { body } = await callGenie({ action: 'fetch-statement-result', statementId });
+
+    assert.equal(body.success, true);
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.equal(body.data.statementId, statementId);
+    assert.equal(body.data.conversationId, null);
+    assert.equal(body.data.rows.length, 5);
+});
+
+test('fetch-statement-result fails for a closed statement', async () => {
+    const conversation = await callGenie({ action: 'start-conversation' });
+    const conversationId = conversation.body.data.conversation_id;
+    const sent = await callGenie({ action: 'send-message', conversationId, content: 'Show me the expired result' });
+    const messageId = sent.body.data.messageId;
+    await callGenie({ action: 'poll-result', conversationId, messageId });
+    const expired = await callGenie({ action: 'poll-result', conversationId, messageId });
+
+    const { status, body } = await callGenie({ action: 'fetch-statement-result', statementId: expired.body.data.statementId });
+
+    assert.equal(status, 500);
+    assert.match(body.error, /missing result data/);
+});
+
+test('ask stops at QUERY_RESULT_EXPIRED instead of polling until the timeout', async () => {
+    const { body } = await callGenie({ action: 'ask', content: 'Show me the expired result', timeoutMs: 2000 });
+
+    assert.equal(body.success, true);
+    assert.equal(body.data.status, 'QUERY_RESULT_EXPIRED');
+    assert.equal(body.data.attachmentId, `${body.data.messageId}-query`);
+});
+
+test('refresh-result re-runs the query of an expired answer', async () => {
+    const expired = (await callGenie({ action: 'ask', content: 'Show me the expired result' })).body.data;
+    const executed = countRequests('POST', /execute-query$/);
+
+    const { body } = await callGenie({
+        action: 'refresh-result',
+        conversationId: expired.conversationId,
+        messageId: expired.messageId,
+        attachmentId: expired.attachmentId
+    });
+
+    assert.equal(body.success, true);
+    assert.equal(countRequests('POST', /execute-query$/), executed + 1);
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.equal(body.data.conversationId, expired.conversationId);
+    assert.equal(body.data.messageId, expired.messageId);
+    assert.equal(body.data.attachmentId, expired.attachmentId);
+    assert.notEqual(body.data.statementId, expired.statementId);
+    assert.equal(body.data.rows.length, 5);
+    assert.equal(body.data.columns[0].name, 'driver');
+});
+
+test('refresh-result waits for a statement that is still running', async () => {
+    const answer = (await callGenie({ action: 'ask', content: 'A slow question about wins' })).body.data;
+
+    const { body } = await callGenie({
+        action: 'refresh-result',
+        conversationId: answer.conversationId,
+        messageId: answer.messageId,
+        attachmentId: answer.attachmentId
+    });
+
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.equal(body.data.rows.length, 5);
+});
+
+test('refresh-result finds the query attachment when only the message is known', async () => {
+    const expired = (await callGenie({ action: 'ask', content: 'Show me the expired result' })).body.data;
+
+    const { body } = await callGenie({ action: 'refresh-result', conversationId: expired.conversationId, messageId: expired.messageId });
+
+    assert.equal(body.data.status, 'COMPLETED');
+    assert.equal(body.data.attachmentId, expired.attachmentId);
+    assert.equal(body.data.rows.length, 5);
+});
+
+test('refresh-result fails for an answer without a query', async () => {
+    const failed = (await callGenie({ action: 'ask', content: 'This one will fail' })).body.data;
+
+    const { body } = await callGenie({ action: 'refresh-result', conversationId: failed.conversationId, messageId: failed.messageId });
+
+    assert.match(body.error, /has no query to refresh/);
+});
+
+test('refresh-result rejects bad input', async () => {
+    const answer = (await callGenie({ action: 'ask', content: 'Show me the top 5 drivers' })).body.data;
+
+    const missing = await callGenie({ action: 'refresh-result', conversationId: answer.conversationId });
+    assert.match(missing.body.error, /Missing conversationId or messageId/);
+
+    const unknown = await callGenie({
+        action: 'refresh-result',
+        conversationId: answer.conversationId,
+        messageId: answer.messageId,
+        attachmentId: 'no-such-attachment'
+    });
+    assert.match(unknown.body.error, /Failed to refresh result: 404/);
+});
+
+test('fetch-statement-page walks every row of a chunked result', async () => {
+    const asked = await callGenie({ action: 'ask', content: 'Show all winners since 2000' });
+    const { statementId } = asked.body.data;
+    const chunkRequests = countRequests('GET', /\/result\/chunks\//);
+
+    const rows = [];
+    const offsets = [];
+    let pageToken;
+    do {
+        const { body } = await callGenie({ action: 'fetch-statement-page', statementId, pageSize: 7, pageToken });
+        assert.equal(body.data.rowCount, 23);
+        offsets.push(body.data.page.offset);
+        rows.push(...body.data.rows);
+        pageToken = body.data.page.nextPageToken;
+    } while (pageToken && offsets.length < 10);
+
+    assert.deepEqual(offsets, [0, 7, 14, 21]);
+    assert.deepEqual(rows.map(r => r[0]), Array.from({ length: 23 }, (_, i) => String(2000 + i)));
+    assert.ok(countRequests('GET', /\/result\/chunks\//) > chunkRequests, 'later chunks are fetched');
+});
+
+test('fetch-statement-page links back to the previous page', async () => {
+    const asked = await callGenie({ action: 'ask', content: 'Show all winners since 2000' });
+
+    const { body } = await callGenie({
+        action: 'fetch-statement-page',
+        statementId: asked.body.data.statementId,
+        pageSize: 5,
+        pageToken: asked.body.data.page.nextPageToken
+    });
+
+    assert.equal(body.data.page.offset, 10);
+    assert.deepEqual(body.data.rows.map(r => r[0]), ['2010', '2011', '2012', '2013', '2014']);
+    assert.equal(body.data.page.prevPageToken, Buffer.from('5').toString('base64url'));
+});
+
+test('fetch-statement-page rejects bad input', async () => {
+    const missing = await callGenie({ action: 'fetch-statement-page', pageSize: 5 });
+    assert.match(missing.body.error, /Missing statementId/);
+
+    const invalid = await callGenie({ action: 'fetch-statement-page', statementId: 'x', pageToken: 'not-a-token' });
+    assert.match(invalid.body.error, /Invalid page token/);
+});
+
+test('fetch-statement-page rejects tokens that are not row offsets', async () => {
+    // ' ' and '' used to read as offset 0; then '-5', '1.5' and bytes that aren't digits
+    const tokens = ['IA', '=', 'LTU', 'MS41', 'abc'];
+    for (const pageToken of tokens) {
+        const { status, body } = await callGenie({ action: 'fetch-statement-page', statementId: 'x', pageToken });
+        assert.equal(status, 500, `token ${pageToken}`);
+        assert.match(body.error, /Invalid page token/, `token ${pageToken}`);
+    }
+});
+
+test('fetch-statement-page rejects an offset past the end without fetching chunks', async () => {
+    const asked = await callGenie({ action: 'ask', content: 'Show all winners since 2000' });
+    const chunkRequests = countRequests('GET', /\/result\/chunks\//);
+
+    const { status, body } = await callGenie({
+        action: 'fetch-statement-page',
+        statementId: asked.body.data.statementId,
+        pageToken: Buffer.from('23').toString('base64url')
+    });
+
+    assert.equal(status, 500);
+    assert.match(body.error, /past the end of the result \(23 rows\)/);
+    assert.equal(countRequests('GET', /\/result\/chunks\//), chunkRequests);
+});
+
+test('unknown actions fail', async () => {
+    const { status, body } = await callGenie({ action: 'make-coffee' });
+
+    assert.equal(status, 500);
+    assert.equal(body.error, 'Unknown action: make-coffee');
+});
+
+test('string bodies are parsed and invalid JSON is reported', async () => {
+    const parsed = await invoke(require('../genie'), { body: JSON.stringify({ action: 'start-conversation' }) });
+    assert.equal(JSON.parse(parsed.body).success, true);
+
+    const invalid = await invoke(require('../genie'), { body: '{not json' });
+    assert.equal(JSON.parse(invalid.body).error, 'Invalid JSON in request body');
+});
+
+test('missing configuration is reported', async () => {
+    const spaceId = process.env.GENIE_SPACE_ID;
+    delete process.env.GENIE_SPACE_ID;
+    try {
+        const { status, body } = await callGenie({ action: 'start-conversation' });
+        assert.equal(status, 500);
+        assert.match(body.error, /Missing required environment variables/);
+    } finally {
+        process.env.GENIE_SPACE_ID = spaceId;
+    }
+});
+
+test('OAuth credentials are exchanged for a token once and reused', async () => {
+    process.env.DATABRICKS_CLIENT_ID = 'sim-client';
+    process.env.DATABRICKS_CLIENT_SECRET = 'sim-secret';
+    try {
+        const tokens = countRequests('POST', /^\/oidc\/v1\/token$/);
+
+        await callGenie({ action: 'start-conversation' });
+        const { body } = await callGenie({ action: 'ask', content: 'Show me the top 5 drivers' });
+
+        assert.equal(body.data.status, 'COMPLETED');
+        assert.equal(countRequests('POST', /^\/oidc\/v1\/token$/) - tokens, 1);
+    } finally {
+        delete process.env.DATABRICKS_CLIENT_ID;
+        delete process.env.DATABRICKS_CLIENT_SECRET;
+    }
+});
+
+test('a rejected OAuth secret is reported as an auth error without retries', async () => {
+    process.env.DATABRICKS_CLIENT_ID = 'sim-other-client';
+    process.env.DATABRICKS_CLIENT_SECRET = 'sim-wrong-secret';
+    try {
+        const tokens = countRequests('POST', /^\/oidc\/v1\/token$/);
+
+        // A GET, which would be retried after a network error
+        const { status, body } = await callGenie({ action: 'poll-result', conversationId: 'sim-conversation-x', messageId: 'sim-message-x' });
+
+        assert.equal(status, 500);
+        assert.equal(body.type, 'auth');
+        assert.equal(countRequests('POST', /^\/oidc\/v1\/token$/) - tokens, 1);
+    } finally {
+        delete process.env.DATABRICKS_CLIENT_ID;
+        delete process.env.DATABRICKS_CLIENT_SECRET;
+    }
+});
@@ -0,0 +1,62 @@
+/**
+ * Shared helpers for the automated API tests (run with: npm test)
+ *
+ * The tests call the function handlers directly with a fake Azure Functions context,
+ * against the Databricks simulator in ../simulator/ - no func host or workspace needed.
+ */
+
+const { createSimulator } = require('../simulator/server');
+
+/**
+ * Start a simulator and point the Databricks configuration at it
+ * Poll delays are shortened so scripted conversations finish in milliseconds
+ */
+async function startSimulator() {
+    const sim = createSimulator();
+    const url = await sim.listen();
+
+    process.env.DATABRICKS_WORKSPACE_URL = url;
+    process.env.DATABRICKS_PAT_TOKEN = 'sim-token';
+    process.env.GENIE_SPACE_ID = 'sim-space';
+    process.env.GENIE_POLL_DELAYS_MS = '5';
+    delete process.env.DATABRICKS_CLIENT_ID;
+    delete process.env.DATABRICKS_CLIENT_SECRET;
+
+    return sim;
+}
+
+/**
+ * Fake function context - collects log lines instead of printing them
+ */
+function createContext() {
+    const logs = [];
+    const log = (...args) => logs.push(args.join(' '));
+    log.error = log;
+    log.warn = log;
+    log.info = log;
+    return { log, logs, res: null };
+}
+
+/**
+ * Run a function handler and return context.res
+ */
+async function invoke(handler, req) {
+    const context = createContext();
+    await handler(context, { method: 'POST', headers: {}, query: {}, ...req });
+    return context.res;
+}
+
+/**
+ * POST an action to the genie function; returns { status, headers, body } with the body parsed
+ */
+async function callGenie(body) {
+    const res = await invoke(require('../genie'), { body });
+    return { status: res.status, headers: res.headers, body: JSON.parse(res.body) };
+}
+
+module.exports = {
+    startSimulator,
+    createContext,
+    invoke,
+    callGenie
+};
@@ -2,39 +2,37 @@
 // SMOOTH SCROLLING FOR NAVIGATION
 // ================================
 
-document.querySelectorAll('.nav-link').forEach(link => {
+// Scroll to a section (e.g. '#timeline') just below the fixed navbar
+// Returns false when there is no such section
+function scrollToSection(targetId, behavior = 'smooth') {
+    const targetSection = targetId.startsWith('#') && document.getElementById(targetId.slice(1));
+    if (!targetSection) return false;
+    
+    const navbarHeight = document.querySelector('.navbar').offsetHeight;
+    const targetPosition = targetSection.offsetTop - navbarHeight;
+    
+    window.scrollTo({
+        top: targetPosition,
+        behavior
+    });
+    return true;
+}
+
+// Nav links and the CTA button scroll smoothly and add the section to the browser history
+document.querySelectorAll('.nav-link, .cta-button').forEach(link => {
     link.addEventListener('click', function(e) {
         e.preventDefault();
         const targetId = this.getAttribute('href');
-        const targetSection = document.querySelector(targetId);
         
-        if (targetSection) {
-            const navbarHeight = document.querySelector('.navbar').offsetHeight;
-            const targetPosition = targetSection.offsetTop - navbarHeight;
-            
-            window.scrollTo({
-                top: targetPosition,
-                behavior: 'smooth'
-            });
+        if (scrollToSection(targetId) && location.hash !== targetId) {
+            history.pushState(null, '', targetId);
         }
     });
 });
 
-// Also handle CTA button smooth scroll
-document.querySelector('.cta-button')?.addEventListener('click', function(e) {
-    e.preventDefault();
-    const targetId = this.getAttribute('href');
-    const targetSection = document.querySelector(targetId);
-    
-    if (targetSection) {
-        const navbarHeight = document.querySelector('.navbar').offsetHeight;
-        const targetPosition = targetSection.offsetTop - navbarHeight;
-        
-        window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-        });
-    }
+// Back/forward between sections (no hash is the top of the page)
+window.addEventListener('popstate', () => {
+    scrollToSection(location.hash || '#hero');
 });
 
 // ================================
@@ -238,6 +236,15 @@ function setActiveNavLink() {
             link.classList.add('active');
         }
     });
+    
+    // Keep the address bar on the section being read, without adding history entries
+    // (the first section is the top of the page, so it has no hash; Genie links are left alone)
+    if (currentSection && !location.hash.startsWith(GENIE_SHARE_PREFIX)) {
+        const hash = currentSection === sections[0].id ? '' : `#${currentSection}`;
+        if (location.hash !== hash) {
+            history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+        }
+    }
 }
 
 window.addEventListener('scroll', setActiveNavLink);
@@ -320,6 +327,372 @@ console.log('%cBuilt with passion for Formula 1 racing 🏁', 'color: #e0e0e0; f
 // GENIE CHAT WIDGET
 // ================================
 
+// Site-level chat settings
+const GENIE_SETTINGS = {
+    showSqlByDefault: false,    // open the "View SQL" panel under each data answer
+    defaultResultView: 'table'  // 'table' or 'chart' for answers that can be charted
+};
+
+// "Ask Genie" questions for the page's cards. Every element matching `selector` gets an
+// "Ask Genie" button (added to `container` inside it) offering `questions`, where {field}
+// is replaced with text read from the card: `fields` maps each name to a selector, or to
+// { selector, match } to keep only the part of that text matching a pattern.
+// Questions whose fields are missing from a card are left out.
+const GENIE_CARD_QUESTIONS = [
+    {
+        selector: '.champion-card',
+        container: '.champion-info',
+        fields: { name: '.champion-name' },
+        questions: ["{name}'s wins by circuit", "{name}'s championship seasons", "{name}'s pole positions by season"]
+    },
+    {
+        selector: '.timeline-item',
+        container: '.timeline-content',
+        fields: { year: { selector: '.timeline-year', match: /\b(19|20)\d{2}\b/ } },
+        questions: ['Championship standings in {year}', 'Race winners in {year}', 'Constructor standings in {year}']
+    },
+    {
+        selector: '.moment-card',
+        container: null,   // the card itself
+        fields: {
+            title: '.moment-title',
+            year: { selector: '.moment-description', match: /\b(19|20)\d{2}\b/ }
+        },
+        questions: ['Tell me more about {title}', 'Race winners in {year}', 'Championship standings in {year}']
+    }
+];
+
+// Readable labels for the Genie message statuses reported while a question runs
+const GENIE_STATUS_LABELS = {
+    SUBMITTED: 'Question received...',
+    FILTERING_CONTEXT: 'Finding the relevant F1 data...',
+    ASKING_AI: 'Genie is working out the query...',
+    PENDING_WAREHOUSE: 'Waiting for the SQL warehouse...',
+    EXECUTING_QUERY: 'Running the query...',
+    EXECUTING: 'Running the query...',
+    COMPLETED: 'Preparing the results...'
+};
+
+// Steps of the progress bubble and the Genie statuses that belong to each
+const GENIE_PROGRESS_STEPS = [
+    { label: 'Context', statuses: ['SUBMITTED', 'FILTERING_CONTEXT'] },
+    { label: 'Writing SQL', statuses: ['ASKING_AI'] },
+    { label: 'Warehouse', statuses: ['PENDING_WAREHOUSE'] },
+    { label: 'Running', statuses: ['EXECUTING_QUERY', 'EXECUTING'] },
+    { label: 'Results', statuses: ['COMPLETED'] }
+];
+
+// Statuses that end polling - every other status of a progress step means Genie is still working
+const GENIE_TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED', 'QUERY_RESULT_EXPIRED'];
+const GENIE_WORKING_STATUSES = GENIE_PROGRESS_STEPS
+    .flatMap(step => step.statuses)
+    .filter(status => !GENIE_TERMINAL_STATUSES.includes(status));
+
+// Shown under the steps while the SQL warehouse starts
+const GENIE_WAREHOUSE_HINT = 'Warming up the SQL warehouse, this can take a minute.';
+
+// Rows fetched per page when browsing large results
+const GENIE_PAGE_SIZE = 50;
+
+// Pause in typing before a table filter is saved to history (the table itself filters right away)
+const GENIE_FILTER_SAVE_DELAY = 500;
+
+// Column types (as normalized by the proxy) that hold numbers
+const GENIE_NUMERIC_TYPES = ['LONG', 'INT', 'INTEGER', 'BIGINT', 'SHORT', 'SMALLINT', 'BYTE', 'TINYINT', 'DOUBLE', 'FLOAT', 'DECIMAL'];
+
+// Column types that hold dates - charted on a time axis like years and seasons
+const GENIE_DATE_TYPES = ['DATE', 'TIMESTAMP', 'TIMESTAMP_NTZ'];
+
+// Column names charted on a time axis: year or season as the name or its last word, maybe
+// with an id suffix (year, race_year, season_id) - not counts like seasons_won
+const GENIE_TIME_COLUMN_NAME = /(^|[_\s])(year|season)([_\s]?(id|no|number))?$/i;
+
+// Rows per fetch-statement-page call when exporting a whole result (the proxy's maximum)
+const GENIE_EXPORT_PAGE_SIZE = 1000;
+
+// Most bars drawn in one bar chart (the table still has every row)
+const GENIE_CHART_MAX_BARS = 25;
+
+// Follow-up questions offered when a result table cell is clicked. A column gets them when
+// its name matches `columns` (the first matching entry wins); {value} is the clicked cell.
+const GENIE_DRILL_DOWNS = [
+    {
+        columns: /^(driver|driver_?name|full_?name|winner|champion|pole_?sitter)$/i,
+        questions: ["Show {value}'s race results", "{value}'s championship history", "{value}'s wins by circuit"]
+    },
+    {
+        columns: /^(constructor|constructor_?name|team|team_?name)$/i,
+        questions: ["Show {value}'s race results", "{value}'s championship titles", 'Drivers who raced for {value}']
+    },
+    {
+        columns: /^(circuit|circuit_?name|track|venue)$/i,
+        questions: ['Race winners at {value}', 'Fastest laps at {value}', 'Most successful drivers at {value}']
+    },
+    {
+        columns: /^(year|season)$/i,
+        questions: ['Championship standings in {value}', 'Race winners in {value}', 'Constructor standings in {value}']
+    }
+];
+
+// Words highlighted as keywords in the "View SQL" panel
+const GENIE_SQL_KEYWORDS = new Set([
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'AS', 'ON', 'USING',
+    'JOIN', 'LEFT', 'RIGHT', 'INNER', 'OUTER', 'FULL', 'CROSS', 'GROUP', 'BY', 'ORDER', 'HAVING',
+    'LIMIT', 'OFFSET', 'DISTINCT', 'UNION', 'ALL', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'WITH',
+    'ASC', 'DESC', 'LIKE', 'ILIKE', 'BETWEEN', 'EXISTS', 'OVER', 'PARTITION', 'ROWS', 'INTERVAL',
+    'CAST', 'TRUE', 'FALSE', 'NULLS', 'FIRST', 'LAST', 'QUALIFY', 'WINDOW'
+]);
+
+// SQL tokens: comment | string or quoted identifier | number | function name | word
+const GENIE_SQL_TOKEN_PATTERN = /(--[^\n]*|\/\*[\s\S]*?\*\/)|('(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.)*"|`[^`]*`)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_]\w*(?=\s*\())|([A-Za-z_]\w*)/g;
+
+// Markdown in Genie's text answers: link protocols allowed in rendered links, and the
+// block-level line patterns (list item, GFM table separator row, fenced code)
+const GENIE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const GENIE_MD_LIST_ITEM = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const GENIE_MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const GENIE_MD_FENCE = /^\s*(`{3,}|~{3,})/;
+
+// Messages kept per saved conversation, and the longest title made from a first question
+const GENIE_MESSAGES_PER_CONVERSATION = 20;   // localStorage fallback only - IndexedDB keeps everything
+const GENIE_TITLE_LENGTH = 40;
+
+// Earlier questions re-asked for context when Genie has forgotten a conversation
+const GENIE_REPLAY_QUESTIONS = 3;
+
+// Shareable links that open the chat and ask a question: <page>#ask=<URI-encoded question>
+const GENIE_SHARE_PREFIX = '#ask=';
+
+// Example questions on the welcome screen, also offered by the input's autocomplete
+const GENIE_EXAMPLE_QUESTIONS = [
+    'Who won the most championships?',
+    'Show me fastest lap records',
+    'Tell me about the 1988 season'
+];
+
+// Questions remembered for the input's history (arrow keys, autocomplete, history view),
+// and the most autocomplete suggestions shown at once
+const GENIE_QUESTION_HISTORY_SIZE = 200;
+const GENIE_AUTOCOMPLETE_SIZE = 6;
+
+// Saved chat history: IndexedDB database name, and the sizes above which the rows of the
+// oldest results are dropped (questions, answers text and SQL are always kept)
+const GENIE_DB_NAME = 'genie-chat';
+const GENIE_STORAGE_BUDGET_BYTES = 25 * 1024 * 1024;
+const GENIE_LOCAL_STORAGE_BUDGET_BYTES = 4 * 1024 * 1024;
+
+/**
+ * GenieHistoryStore Class
+ *
+ * Saves chat conversations in the browser for GenieChat.
+ *
+ * STORAGE:
+ * - IndexedDB (database "genie-chat"): one record per conversation in the "conversations"
+ *   store with its full history, plus the active conversation id and the question history
+ *   in the "meta" store. Only conversations that changed are written.
+ * - localStorage fallback (when IndexedDB is missing or cannot be opened): every conversation
+ *   in one GENIE_CHAT_STATE entry, keeping the last GENIE_MESSAGES_PER_CONVERSATION messages each,
+ *   and the question history in GENIE_QUESTION_HISTORY.
+ *
+ * State saved by older versions in localStorage is moved into IndexedDB the first time it opens.
+ *
+ * CONVERSATION RECORD:
+ * {
+ *   "id": "conv-...",
+ *   "title": "Who won the most races?",     // from the first question, or renamed
+ *   "conversationId": "01ef...",            // Genie conversation, null until the first answer
+ *   "messages": [...],                      // typed message records (see GenieChat.addMessage)
+ *   "createdAt": 1718000000000,
+ *   "updatedAt": 1718000000000
+ * }
+ *
+ * LOCALSTORAGE ENTRY: { "version": 2, "activeId": "conv-...", "conversations": [...] }
+ *
+ * QUESTION HISTORY (newest first): [{ "text": "Who won the most races?", "askedAt": 1718000000000 }]
+ */
+class GenieHistoryStore {
+    constructor() {
+        this.db = null;
+        this.backend = 'localStorage';
+        this.importingLegacy = false;   // true until localStorage state has been copied to IndexedDB
+    }
+    
+    /**
+     * Open the IndexedDB database, falling back to localStorage when that fails
+     * Returns the backend in use: 'indexedDB' or 'localStorage'
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('⚠️  IndexedDB unavailable - saving chat history to localStorage');
+            return this.backend;
+        }
+        
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(GENIE_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('conversations', { keyPath: 'id' });
+                    request.result.createObjectStore('meta');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+            this.backend = 'indexedDB';
+        } catch (error) {
+            console.warn('⚠️  Could not open IndexedDB - saving chat history to localStorage:', error);
+        }
+        
+        return this.backend;
+    }
+    
+    /**
+     * Read saved state: { activeId, conversations } (conversations are not validated here)
+     */
+    async load() {
+        const legacy = this.readLocalState();
+        if (this.backend !== 'indexedDB') {
+            return legacy;
+        }
+        
+        const tx = this.db.transaction(['conversations', 'meta'], 'readonly');
+        const [conversations, activeId] = await Promise.all([
+            this.request(tx.objectStore('conversations').getAll()),
+            this.request(tx.objectStore('meta').get('activeId'))
+        ]);
+        
+        if (conversations.length === 0 && legacy.conversations.length > 0) {
+            console.log('📦 Moving saved chat history from localStorage to IndexedDB');
+            this.importingLegacy = true;
+            return legacy;
+        }
+        
+        return { activeId, conversations };
+    }
+    
+    /**
+     * Save state: { activeId, conversations }
+     * With IndexedDB only the conversations in `changed` are written (all of them when omitted)
+     */
+    async save(state, changed = state.conversations) {
+        if (this.backend !== 'indexedDB') {
+            const stored = {
+                version: 2,
+                activeId: state.activeId,
+                conversations: state.conversations.map(conversation => this.toStored(conversation))
+            };
+            localStorage.setItem('GENIE_CHAT_STATE', JSON.stringify(stored));
+            return;
+        }
+        
+        const importing = this.importingLegacy;
+        const tx = this.db.transaction(['conversations', 'meta'], 'readwrite');
+        const store = tx.objectStore('conversations');
+        (importing ? state.conversations : changed).forEach(conversation => store.put(conversation));
+        tx.objectStore('meta').put(state.activeId, 'activeId');
+        await this.complete(tx);
+        
+        if (importing) {
+            this.importingLegacy = false;
+            localStorage.removeItem('GENIE_CHAT_STATE');
+        }
+    }
+    
+    /**
+     * Read the question history, or null when none has been saved yet
+     */
+    async loadQuestions() {
+        if (this.backend !== 'indexedDB') {
+            const saved = localStorage.getItem('GENIE_QUESTION_HISTORY');
+            return saved ? JSON.parse(saved) : null;
+        }
+        
+        const tx = this.db.transaction('meta', 'readonly');
+        const questions = await this.request(tx.objectStore('meta').get('questions'));
+        return questions === undefined ? null : questions;
+    }
+    
+    async saveQuestions(questions) {
+        if (this.backend !== 'indexedDB') {
+            localStorage.setItem('GENIE_QUESTION_HISTORY', JSON.stringify(questions));
+            return;
+        }
+        
+        const tx = this.db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put(questions, 'questions');
+        await this.complete(tx);
+    }
+    
+    /**
+     * Delete one conversation (the localStorage entry is rewritten by the next save instead)
+     */
+    async remove(id) {
+        if (this.backend !== 'indexedDB') {
+            return;
+        }
+        const tx = this.db.transaction('conversations', 'readwrite');
+        tx.objectStore('conversations').delete(id);
+        await this.complete(tx);
+    }
+    
+    /**
+     * Approximate bytes a conversation takes once saved
+     */
+    measure(conversation) {
+        return JSON.stringify(this.toStored(conversation)).length;
+    }
+    
+    /**
+     * Most bytes of chat history to keep before old result rows are dropped
+     */
+    get budget() {
+        return this.backend === 'indexedDB' ? GENIE_STORAGE_BUDGET_BYTES : GENIE_LOCAL_STORAGE_BUDGET_BYTES;
+    }
+    
+    toStored(conversation) {
+        return this.backend === 'indexedDB'
+            ? conversation
+            : { ...conversation, messages: conversation.messages.slice(-GENIE_MESSAGES_PER_CONVERSATION) };
+    }
+    
+    /**
+     * Read GENIE_CHAT_STATE from localStorage
+     * State saved before conversations existed ({ conversationId, messages }) becomes one conversation
+     */
+    readLocalState() {
+        try {
+            const saved = localStorage.getItem('GENIE_CHAT_STATE');
+            if (saved) {
+                const state = JSON.parse(saved);
+                if (state.version === 2 && Array.isArray(state.conversations)) {
+                    return { activeId: state.activeId, conversations: state.conversations };
+                }
+                if (state.conversationId || (state.messages && state.messages.length > 0)) {
+                    return { activeId: null, conversations: [{ conversationId: state.conversationId, messages: state.messages }] };
+                }
+            }
+        } catch (error) {
+            console.error('Failed to read saved state:', error);
+        }
+        return { activeId: null, conversations: [] };
+    }
+    
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
 /**
  * GenieChat Class
  * 
@@ -334,21 +707,46 @@ console.log('%cBuilt with passion for Formula 1 racing 🏁', 'color: #e0e0e0; f
  */
 class GenieChat {
     constructor() {
-        // Conversation state
+        // Conversation state - conversationId and messages belong to the active conversation
+        this.conversations = [];
+        this.activeId = null;
         this.conversationId = null;
         this.messages = [];
+        this.storage = new GenieHistoryStore();
+        this.conversationSizes = new Map();   // conversation id -> approximate saved bytes
+        this.storageUsage = 0;
         this.isOpen = false;
         this.isLoading = false;
+        this.isOffline = false;   // true while the proxy reports Databricks as unavailable
         this.lastQuery = null;
+        this.abortController = null;   // aborts the browser requests of the question in flight
+        this.pendingMessage = null;    // { conversationId, messageId } of that question, once Genie accepted it
+        
+        // Question history (newest first) and the input's place in it while recalling with the arrow keys
+        this.questionHistory = [];
+        this.historyIndex = -1;
+        this.historyDraft = '';
+        this.autocomplete = { questions: [], selected: -1 };
+        this.saveFilterState = debounce(() => this.saveState(), GENIE_FILTER_SAVE_DELAY);
         
         // DOM elements
         this.elements = {
             button: document.getElementById('genie-chat-btn'),
             panel: document.getElementById('genie-chat-panel'),
             closeBtn: document.getElementById('genie-close-btn'),
+            threadsBtn: document.getElementById('genie-threads-btn'),
+            threads: document.getElementById('genie-threads'),
+            threadList: document.getElementById('genie-thread-list'),
+            storageUsage: document.getElementById('genie-storage-usage'),
+            historyBtn: document.getElementById('genie-history-btn'),
+            history: document.getElementById('genie-question-history'),
+            historySearch: document.getElementById('genie-history-search'),
+            historyList: document.getElementById('genie-history-list'),
+            autocomplete: document.getElementById('genie-autocomplete'),
             messages: document.getElementById('genie-messages'),
             input: document.getElementById('genie-input'),
-            sendBtn: document.getElementById('genie-send-btn')
+            sendBtn: document.getElementById('genie-send-btn'),
+            stopBtn: document.getElementById('genie-stop-btn')
         };
         
         // Initialize
@@ -357,49 +755,87 @@ class GenieChat {
     
     /**
      * Initialize the chat widget
-     * - Load saved state from localStorage
      * - Attach event listeners
+     * - Load saved conversations (IndexedDB, or localStorage)
      * - Restore previous conversation if exists
      */
-    init() {
+    async init() {
         console.log('🤖 Initializing Genie Chat Widget...');
         
-        // Load state from localStorage
-        this.loadState();
+        // Read a shared question link before anything else changes the address bar
+        const sharedQuestion = this.takeSharedQuestion();
         
         // Attach event listeners
         this.elements.button.addEventListener('click', () => this.toggle());
         this.elements.closeBtn.addEventListener('click', () => this.toggle());
         this.elements.sendBtn.addEventListener('click', () => this.handleSend());
+        if (this.elements.stopBtn) {
+            this.elements.stopBtn.addEventListener('click', () => this.stopQuestion());
+        }
         
-        // Clear conversation button
+        // New conversation button
         const clearBtn = document.getElementById('genie-clear-btn');
         if (clearBtn) {
-            clearBtn.addEventListener('click', () => this.clearConversation());
+            clearBtn.addEventListener('click', () => this.newConversation());
         }
         
-        // Handle Enter key (Shift+Enter for new line)
-        this.elements.input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.handleSend();
-            }
-        });
+        // Conversation list: the header button shows it, its buttons carry data-thread-action
+        if (this.elements.threadsBtn && this.elements.threads) {
+            this.elements.threadsBtn.addEventListener('click', () => this.toggleConversationList());
+            this.elements.threads.addEventListener('click', (e) => this.handleThreadAction(e));
+        }
+        
+        // Question history view: the header button shows it, its buttons carry data-history-action
+        if (this.elements.historyBtn && this.elements.history) {
+            this.elements.historyBtn.addEventListener('click', () => this.toggleQuestionHistory());
+            this.elements.history.addEventListener('click', (e) => this.handleHistoryAction(e));
+            this.elements.historySearch.addEventListener('input', () => this.renderQuestionHistory());
+        }
+        
+        // Enter sends (Shift+Enter for new line), arrow keys recall earlier questions or move
+        // through the autocomplete suggestions
+        this.elements.input.addEventListener('keydown', (e) => this.handleInputKeydown(e));
         
-        // Enable/disable send button based on input
+        // Enable/disable send button and suggest earlier questions as the input changes
         this.elements.input.addEventListener('input', () => {
-            const text = this.elements.input.value.trim();
-            this.elements.sendBtn.disabled = text.length < 5 || this.isLoading;
+            this.historyIndex = -1;
+            this.updateSendButton();
+            this.showAutocomplete();
         });
-        
-        // Example button clicks
-        const exampleBtns = document.querySelectorAll('.genie-example-btn');
-        exampleBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const query = btn.getAttribute('data-query');
-                this.elements.input.value = query;
-                this.handleSend();
+        this.elements.input.addEventListener('blur', () => this.hideAutocomplete());
+        if (this.elements.autocomplete) {
+            // mousedown would move the focus out of the input (and close the list) before the click
+            this.elements.autocomplete.addEventListener('mousedown', (e) => e.preventDefault());
+            this.elements.autocomplete.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-index]');
+                if (option) {
+                    this.chooseAutocomplete(Number(option.dataset.index), true);
+                }
             });
+        }
+        
+        // Buttons inside messages (result paging, table sorting, ...) and table filter boxes
+        this.elements.messages.addEventListener('click', (e) => this.handleMessageAction(e));
+        this.elements.messages.addEventListener('input', (e) => this.handleMessageInput(e));
+        
+        // "Ask Genie" buttons on the champion, timeline and moment cards
+        this.addCardButtons();
+        
+        // Load saved conversations, then show the active one (or the welcome examples) and the list
+        await this.loadState();
+        await this.loadQuestionHistory();
+        this.renderConversation();
+        this.renderConversationList();
+        
+        // Shared question links, on load and when one is opened in this tab later
+        if (sharedQuestion) {
+            this.askSharedQuestion(sharedQuestion);
+        }
+        window.addEventListener('hashchange', () => {
+            const question = this.takeSharedQuestion();
+            if (question) {
+                this.askSharedQuestion(question);
+            }
         });
         
         console.log('✅ Genie Chat initialized');
@@ -422,122 +858,855 @@ class GenieChat {
     }
     
     /**
-     * Clear conversation and start fresh
-     * Removes all messages, resets conversation state, and shows welcome message
+     * Add an "Ask Genie" button to every card listed in GENIE_CARD_QUESTIONS
      */
-    clearConversation() {
-        // Confirm with user
-        if (this.messages.length > 0) {
-            const confirmed = confirm('Clear conversation history and start over?');
-            if (!confirmed) return;
-        }
-        
-        console.log('🗑️  Clearing conversation...');
-        
-        // Reset state
-        this.conversationId = null;
-        this.messages = [];
-        this.lastQuery = null;
+    addCardButtons() {
+        GENIE_CARD_QUESTIONS.forEach(config => {
+            document.querySelectorAll(config.selector).forEach(card => {
+                const questions = this.getCardQuestions(card, config);
+                if (questions.length === 0) return;
+                
+                const subject = this.readCardField(card, Object.values(config.fields)[0]);
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'genie-ask-btn';
+                button.textContent = '✨ Ask Genie';
+                button.setAttribute('aria-label', `Ask Genie about ${subject}`);
+                button.addEventListener('click', () => this.showCardQuestions(subject, questions));
+                
+                (config.container && card.querySelector(config.container) || card).appendChild(button);
+            });
+        });
+    }
+    
+    /**
+     * Fill a card's question templates from its text
+     */
+    getCardQuestions(card, config) {
+        const values = {};
+        Object.entries(config.fields).forEach(([name, field]) => {
+            values[name] = this.readCardField(card, field);
+        });
         
-        // Clear localStorage
-        localStorage.removeItem('GENIE_CHAT_STATE');
+        return config.questions
+            .filter(template => [...template.matchAll(/\{(\w+)\}/g)].every(([, name]) => values[name]))
+            .map(template => template.replace(/\{(\w+)\}/g, (_, name) => values[name]));
+    }
+    
+    /**
+     * Text of one card field (see GENIE_CARD_QUESTIONS), or '' when the card doesn't have it
+     */
+    readCardField(card, field) {
+        const { selector, match } = typeof field === 'string' ? { selector: field } : field;
+        const element = card.querySelector(selector);
+        const text = element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+        if (!match) {
+            return text;
+        }
+        const found = text.match(match);
+        return found ? found[0] : '';
+    }
+    
+    /**
+     * Open the chat and offer the questions about a card
+     * The questions are not saved; clicking one asks it like a typed question
+     */
+    showCardQuestions(subject, questions) {
+        if (!this.isOpen) {
+            this.toggle();
+        }
         
-        // Clear messages from UI
-        this.elements.messages.innerHTML = '';
+        const old = this.elements.messages.querySelector('.genie-card-questions');
+        if (old) {
+            old.remove();
+        }
         
-        // Show welcome message again
-        const welcomeHTML = `
-            <div class="genie-welcome">
-                <p class="genie-welcome-text">Ask me anything about F1 history!</p>
-                <div class="genie-examples">
-                    <button class="genie-example-btn" data-query="Who won the most championships?">
-                        Who won the most championships?
-                    </button>
-                    <button class="genie-example-btn" data-query="Show me fastest lap records">
-                        Show me fastest lap records
-                    </button>
-                    <button class="genie-example-btn" data-query="Tell me about the 1988 season">
-                        Tell me about the 1988 season
-                    </button>
-                </div>
+        const block = document.createElement('div');
+        block.className = 'genie-card-questions';
+        block.innerHTML = `
+            <p class="genie-welcome-text">Ask about <strong>${this.escapeHtml(subject)}</strong></p>
+            <div class="genie-examples">
+                ${questions.map(q => `<button class="genie-example-btn" data-query="${this.escapeAttribute(q)}">${this.escapeHtml(q)}</button>`).join('')}
             </div>
         `;
-        this.elements.messages.innerHTML = welcomeHTML;
-        
-        // Re-attach event listeners to example buttons
-        const exampleBtns = this.elements.messages.querySelectorAll('.genie-example-btn');
-        exampleBtns.forEach(btn => {
+        block.querySelectorAll('.genie-example-btn').forEach(btn => {
             btn.addEventListener('click', () => {
-                const query = btn.getAttribute('data-query');
-                this.elements.input.value = query;
+                if (this.isLoading || this.isOffline) return;
+                block.remove();
+                this.elements.input.value = btn.getAttribute('data-query');
                 this.handleSend();
             });
         });
         
-        // Clear input
-        this.elements.input.value = '';
-        this.elements.sendBtn.disabled = true;
-        
-        console.log('✅ Conversation cleared');
+        this.elements.messages.appendChild(block);
+        this.scrollToBottom();
     }
     
     /**
-     * Handle send button click
-     * Validates input and sends message to Genie
+     * Read the question from a #ask= link and remove it from the address bar
+     * (so reloading or sharing the page doesn't ask it again)
+     * Returns null when there is no valid shared question
      */
-    async handleSend() {
-        const text = this.elements.input.value.trim();
-        
-        // Validate input
-        if (text.length < 5) {
-            alert('Please enter at least 5 characters');
-            return;
+    takeSharedQuestion() {
+        if (!location.hash.startsWith(GENIE_SHARE_PREFIX)) {
+            return null;
         }
+        const encoded = location.hash.slice(GENIE_SHARE_PREFIX.length);
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
         
-        if (text.length > 1000) {
-            alert('Message is too long (max 1000 characters)');
+        let question;
+        try {
+            question = decodeURIComponent(encoded).trim();
+        } catch (error) {
+            console.warn('⚠️  Ignoring malformed question link:', error);
+            return null;
+        }
+        if (question.length < 5 || question.length > 1000) {
+            console.warn('⚠️  Ignoring question link with a question of', question.length, 'characters');
+            return null;
+        }
+        return question;
+    }
+    
+    /**
+     * Open the chat and ask a question from a shared link in a new conversation
+     */
+    askSharedQuestion(question) {
+        if (this.isLoading) {
             return;
         }
+        console.log('🔗 Asking shared question:', question);
         
-        if (this.isLoading) {
-            return; // Already processing
+        if (!this.isOpen) {
+            this.toggle();
+        }
+        this.newConversation();
+        this.elements.input.value = question;
+        this.handleSend();
+    }
+    
+    /**
+     * Link to this page that asks `question` when opened (see takeSharedQuestion)
+     */
+    getQuestionLink(question) {
+        return `${location.href.split('#')[0]}${GENIE_SHARE_PREFIX}${encodeURIComponent(question)}`;
+    }
+    
+    /**
+     * Copy the shareable link of a question to the clipboard
+     */
+    async copyQuestionLink(message, button) {
+        try {
+            await this.copyToClipboard(this.getQuestionLink(message.text));
+            button.textContent = 'Link copied!';
+        } catch (error) {
+            console.error('❌ Failed to copy question link:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = '🔗 Copy link'; }, 2000);
+    }
+    
+    /**
+     * Start a new conversation and make it active
+     * The old conversation stays in the list; an empty active conversation is reused
+     */
+    newConversation() {
+        if (this.isLoading) return;
+        
+        let conversation = this.getActiveConversation();
+        if (!conversation || conversation.messages.length > 0 || conversation.conversationId) {
+            console.log('🆕 Starting new conversation...');
+            conversation = this.createConversation();
+            this.conversations.push(conversation);
         }
         
-        // Clear input and disable send button
+        this.switchConversation(conversation.id);
+        this.setConversationListOpen(false);
+    }
+    
+    /**
+     * Make a saved conversation the active one and show its messages
+     */
+    switchConversation(id) {
+        if (this.isLoading) return;
+        
+        const conversation = this.conversations.find(c => c.id === id);
+        if (!conversation) return;
+        
+        this.activeId = conversation.id;
+        this.conversationId = conversation.conversationId;
+        this.messages = conversation.messages;
+        this.lastQuery = null;
+        
+        this.renderConversation();
+        this.saveState();
+        
+        // Clear input
         this.elements.input.value = '';
         this.elements.sendBtn.disabled = true;
-        this.lastQuery = text;
         
-        // Send message
-        await this.sendMessage(text);
+        console.log('💬 Switched to conversation:', conversation.title || conversation.id);
     }
     
     /**
-     * MAIN WORKFLOW: Send a message to Genie
-     * 
-     * Steps:
-     * 1. Display user message immediately
-     * 2. Start conversation if this is the first message
-     * 3. Send message to Genie API
-     * 4. Show typing indicator
-     * 5. Poll until message is completed
-     * 6. Display results
+     * Rename a saved conversation (an empty name keeps the old title)
      */
-    async sendMessage(content) {
-        console.log('📤 Sending message to Genie:', content);
+    renameConversation(id) {
+        const conversation = this.conversations.find(c => c.id === id);
+        if (!conversation) return;
         
-        try {
-            this.isLoading = true;
-            this.elements.button.classList.add('processing');
+        const title = prompt('Rename conversation', conversation.title || '');
+        if (title === null || !title.trim()) return;
+        
+        conversation.title = title.trim().slice(0, 100);
+        this.saveState(conversation);
+    }
+    
+    /**
+     * Delete a saved conversation after confirming
+     * Deleting the active conversation switches to the newest remaining one (or a new one)
+     */
+    deleteConversation(id) {
+        if (this.isLoading) return;
+        
+        const conversation = this.conversations.find(c => c.id === id);
+        if (!conversation) return;
+        
+        if (conversation.messages.length > 0) {
+            const confirmed = confirm(`Delete "${conversation.title || 'New conversation'}"?`);
+            if (!confirmed) return;
+        }
+        
+        console.log('🗑️  Deleting conversation:', conversation.title || conversation.id);
+        this.conversations = this.conversations.filter(c => c !== conversation);
+        this.conversationSizes.delete(conversation.id);
+        this.storage.remove(conversation.id)
+            .catch(error => console.error('❌ Failed to delete saved conversation:', error));
+        
+        if (conversation.id !== this.activeId) {
+            this.saveState();
+            return;
+        }
+        
+        if (this.conversations.length === 0) {
+            this.conversations.push(this.createConversation());
+        }
+        this.switchConversation(this.conversations[this.conversations.length - 1].id);
+    }
+    
+    createConversation() {
+        const now = Date.now();
+        return {
+            id: `conv-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            title: '',
+            conversationId: null,
+            messages: [],
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+    
+    getActiveConversation() {
+        return this.conversations.find(c => c.id === this.activeId) || null;
+    }
+    
+    /**
+     * Title for a conversation from its first question: one line, cut at a word
+     */
+    createConversationTitle(text) {
+        const title = String(text).replace(/\s+/g, ' ').trim();
+        if (title.length <= GENIE_TITLE_LENGTH) {
+            return title;
+        }
+        const cut = title.slice(0, GENIE_TITLE_LENGTH);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${(lastSpace > GENIE_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+    }
+    
+    /**
+     * Show the active conversation's messages, or the welcome examples when it is empty
+     */
+    renderConversation() {
+        this.elements.messages.innerHTML = '';
+        
+        if (this.messages.length === 0) {
+            this.showWelcome();
+            return;
+        }
+        
+        this.messages.forEach(msg => {
+            this.elements.messages.appendChild(this.createMessageElement(msg));
+        });
+        this.scrollToBottom();
+    }
+    
+    /**
+     * Show the welcome message with example questions
+     */
+    showWelcome() {
+        const welcomeHTML = `
+            <div class="genie-welcome">
+                <p class="genie-welcome-text">Ask me anything about F1 history!</p>
+                <div class="genie-examples">
+                    ${GENIE_EXAMPLE_QUESTIONS.map(q => `
+                        <button class="genie-example-btn" data-query="${this.escapeAttribute(q)}">
+                            ${this.escapeHtml(q)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+        this.elements.messages.innerHTML = welcomeHTML;
+        
+        // Attach event listeners to example buttons
+        const exampleBtns = this.elements.messages.querySelectorAll('.genie-example-btn');
+        exampleBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const query = btn.getAttribute('data-query');
+                this.elements.input.value = query;
+                this.handleSend();
+            });
+        });
+    }
+    
+    /**
+     * Fill the conversation list, newest first, with the active conversation marked
+     */
+    renderConversationList() {
+        if (!this.elements.threadList) return;
+        
+        const conversations = [...this.conversations].sort((a, b) => b.createdAt - a.createdAt);
+        this.elements.threadList.innerHTML = conversations.map(conversation => {
+            const active = conversation.id === this.activeId;
+            const title = this.escapeHtml(conversation.title || 'New conversation');
+            const updated = new Date(conversation.updatedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            return `
+                <li class="genie-thread${active ? ' active' : ''}" data-thread-id="${this.escapeAttribute(conversation.id)}">
+                    <button class="genie-thread-switch" data-thread-action="switch"${active ? ' aria-current="true"' : ''}>
+                        <span class="genie-thread-title">${title}</span>
+                        <span class="genie-thread-time">${this.escapeHtml(updated)}</span>
+                    </button>
+                    <button class="genie-thread-btn" data-thread-action="rename" aria-label="Rename ${this.escapeAttribute(conversation.title || 'New conversation')}" title="Rename">✎</button>
+                    <button class="genie-thread-btn" data-thread-action="delete" aria-label="Delete ${this.escapeAttribute(conversation.title || 'New conversation')}" title="Delete">&times;</button>
+                </li>
+            `;
+        }).join('');
+        
+        this.renderStorageUsage();
+    }
+    
+    toggleConversationList() {
+        this.setConversationListOpen(this.elements.threads.hidden);
+    }
+    
+    setConversationListOpen(open) {
+        if (!this.elements.threads) return;
+        if (open) {
+            this.setQuestionHistoryOpen(false);
+        }
+        this.elements.threads.hidden = !open;
+        this.elements.threadsBtn.setAttribute('aria-expanded', String(open));
+    }
+    
+    /**
+     * Handle clicks in the conversation list (delegated from the list container)
+     */
+    handleThreadAction(event) {
+        const button = event.target.closest('[data-thread-action]');
+        if (!button) return;
+        
+        const action = button.dataset.threadAction;
+        if (action === 'new') {
+            this.newConversation();
+            return;
+        }
+        
+        const item = button.closest('[data-thread-id]');
+        if (!item) return;
+        const id = item.dataset.threadId;
+        
+        switch (action) {
+            case 'switch':
+                this.switchConversation(id);
+                this.setConversationListOpen(false);
+                this.elements.input.focus();
+                break;
+            case 'rename':
+                this.renameConversation(id);
+                break;
+            case 'delete':
+                this.deleteConversation(id);
+                break;
+        }
+    }
+    
+    /**
+     * Load the question history, or build it from the saved conversations the first time
+     */
+    async loadQuestionHistory() {
+        let saved = null;
+        try {
+            saved = await this.storage.loadQuestions();
+        } catch (error) {
+            console.error('Failed to load question history:', error);
+        }
+        
+        if (Array.isArray(saved)) {
+            this.questionHistory = saved.filter(entry => entry && typeof entry.text === 'string' && entry.text.trim());
+            return;
+        }
+        
+        const asked = [];
+        this.conversations.forEach(conversation => {
+            conversation.messages.forEach(msg => {
+                if (msg.role === 'user' && msg.type === 'text') {
+                    asked.push({ text: msg.text, askedAt: msg.timestamp });
+                }
+            });
+        });
+        asked.sort((a, b) => a.askedAt - b.askedAt).forEach(entry => this.addToQuestionHistory(entry));
+        if (this.questionHistory.length > 0) {
+            this.saveQuestionHistory();
+        }
+    }
+    
+    /**
+     * Put a question at the top of the history (once - asking it again moves it up) and save
+     */
+    rememberQuestion(text) {
+        this.addToQuestionHistory({ text, askedAt: Date.now() });
+        this.saveQuestionHistory();
+        if (this.elements.history && !this.elements.history.hidden) {
+            this.renderQuestionHistory();
+        }
+    }
+    
+    addToQuestionHistory(entry) {
+        const key = entry.text.trim().toLowerCase();
+        this.questionHistory = [entry, ...this.questionHistory.filter(q => q.text.trim().toLowerCase() !== key)]
+            .slice(0, GENIE_QUESTION_HISTORY_SIZE);
+    }
+    
+    saveQuestionHistory() {
+        this.storage.saveQuestions(this.questionHistory)
+            .catch(error => console.error('❌ Failed to save question history:', error));
+    }
+    
+    /**
+     * Forget every question typed so far (conversations are kept)
+     */
+    clearQuestionHistory() {
+        if (this.questionHistory.length === 0) return;
+        if (!confirm('Clear your question history? Your conversations are kept.')) return;
+        
+        console.log('🧹 Clearing question history');
+        this.questionHistory = [];
+        this.historyIndex = -1;
+        this.saveQuestionHistory();
+        this.renderQuestionHistory();
+        this.hideAutocomplete();
+    }
+    
+    /**
+     * Fill the question history view, filtered by its search box
+     */
+    renderQuestionHistory() {
+        if (!this.elements.historyList) return;
+        
+        const search = this.elements.historySearch.value.trim().toLowerCase();
+        const questions = search
+            ? this.questionHistory.filter(q => q.text.toLowerCase().includes(search))
+            : this.questionHistory;
+        
+        if (questions.length === 0) {
+            const empty = this.questionHistory.length === 0 ? 'Questions you ask will appear here' : 'No questions match';
+            this.elements.historyList.innerHTML = `<li class="genie-history-empty">${empty}</li>`;
+            return;
+        }
+        
+        this.elements.historyList.innerHTML = questions.map(question => {
+            const asked = new Date(question.askedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            return `
+                <li class="genie-thread">
+                    <button class="genie-thread-switch" data-history-action="use" data-question="${this.escapeAttribute(question.text)}" title="${this.escapeAttribute(question.text)}">
+                        <span class="genie-thread-title">${this.escapeHtml(question.text)}</span>
+                        <span class="genie-thread-time">${this.escapeHtml(asked)}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    toggleQuestionHistory() {
+        this.setQuestionHistoryOpen(this.elements.history.hidden);
+    }
+    
+    setQuestionHistoryOpen(open) {
+        if (!this.elements.history) return;
+        if (open) {
+            this.setConversationListOpen(false);
+            this.elements.historySearch.value = '';
+            this.renderQuestionHistory();
+        }
+        this.elements.history.hidden = !open;
+        this.elements.historyBtn.setAttribute('aria-expanded', String(open));
+        if (open) {
+            this.elements.historySearch.focus();
+        }
+    }
+    
+    /**
+     * Handle clicks in the question history view (delegated from its container)
+     * Picking a question puts it in the input to edit or send
+     */
+    handleHistoryAction(event) {
+        const button = event.target.closest('[data-history-action]');
+        if (!button) return;
+        
+        switch (button.dataset.historyAction) {
+            case 'use':
+                this.setQuestionHistoryOpen(false);
+                this.setInputText(button.dataset.question);
+                this.elements.input.focus();
+                break;
+            case 'clear':
+                this.clearQuestionHistory();
+                break;
+        }
+    }
+    
+    /**
+     * Keys in the chat input
+     * - with autocomplete suggestions shown: Up/Down choose one, Tab takes it, Enter asks it, Escape closes
+     * - otherwise: Enter sends (Shift+Enter for a new line), Up/Down step through earlier questions
+     *   when the caret is on the first/last line
+     */
+    handleInputKeydown(event) {
+        const input = this.elements.input;
+        
+        if (this.autocomplete.questions.length > 0) {
+            const { questions, selected } = this.autocomplete;
+            switch (event.key) {
+                case 'ArrowDown':
+                case 'ArrowUp': {
+                    event.preventDefault();
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    this.selectAutocomplete((selected + 1 + step + questions.length + 1) % (questions.length + 1) - 1);
+                    return;
+                }
+                case 'Tab':
+                    if (selected >= 0) {
+                        event.preventDefault();
+                        this.chooseAutocomplete(selected, false);
+                    }
+                    return;
+                case 'Enter':
+                    if (selected >= 0 && !event.shiftKey) {
+                        event.preventDefault();
+                        this.chooseAutocomplete(selected, true);
+                        return;
+                    }
+                    break;
+                case 'Escape':
+                    event.preventDefault();
+                    this.hideAutocomplete();
+                    return;
+            }
+        }
+        
+        if (event.key === 'Enter' && !event.shiftKey) {
+            event.preventDefault();
+            this.handleSend();
+            return;
+        }
+        
+        const onFirstLine = !input.value.slice(0, input.selectionStart).includes('\n');
+        const onLastLine = !input.value.slice(input.selectionEnd).includes('\n');
+        if ((event.key === 'ArrowUp' && onFirstLine) || (event.key === 'ArrowDown' && onLastLine)) {
+            if (this.recallQuestion(event.key === 'ArrowUp' ? 1 : -1)) {
+                event.preventDefault();
+            }
+        }
+    }
+    
+    /**
+     * Step through the question history in the input: 1 = older, -1 = newer
+     * Stepping past the newest question brings back what was being typed
+     * Returns false when there is nothing further in that direction
+     */
+    recallQuestion(step) {
+        const index = this.historyIndex + step;
+        if (index >= this.questionHistory.length || index < -1 || (index === -1 && this.historyIndex === -1)) {
+            return false;
+        }
+        
+        if (this.historyIndex === -1) {
+            this.historyDraft = this.elements.input.value;
+        }
+        this.historyIndex = index;
+        this.setInputText(index === -1 ? this.historyDraft : this.questionHistory[index].text);
+        return true;
+    }
+    
+    /**
+     * Earlier questions and example questions containing the typed text, those starting with it first
+     */
+    getAutocompleteQuestions(text) {
+        const typed = text.trim().toLowerCase();
+        if (typed.length < 2) {
+            return [];
+        }
+        
+        const seen = new Set([typed]);
+        const matches = [...this.questionHistory.map(q => q.text), ...GENIE_EXAMPLE_QUESTIONS].filter(question => {
+            const key = question.trim().toLowerCase();
+            if (seen.has(key) || !key.includes(typed)) return false;
+            seen.add(key);
+            return true;
+        });
+        
+        return [
+            ...matches.filter(q => q.toLowerCase().startsWith(typed)),
+            ...matches.filter(q => !q.toLowerCase().startsWith(typed))
+        ].slice(0, GENIE_AUTOCOMPLETE_SIZE);
+    }
+    
+    /**
+     * Show the autocomplete suggestions for the input's text (or hide them when none match)
+     */
+    showAutocomplete() {
+        if (!this.elements.autocomplete) return;
+        
+        const text = this.elements.input.value;
+        const questions = this.getAutocompleteQuestions(text);
+        this.autocomplete = { questions, selected: -1 };
+        if (questions.length === 0) {
+            this.hideAutocomplete();
+            return;
+        }
+        
+        const typed = text.trim().toLowerCase();
+        this.elements.autocomplete.innerHTML = questions.map((question, i) => {
+            const at = question.toLowerCase().indexOf(typed);
+            const label = `${this.escapeHtml(question.slice(0, at))}<mark>${this.escapeHtml(question.slice(at, at + typed.length))}</mark>${this.escapeHtml(question.slice(at + typed.length))}`;
+            return `<li class="genie-autocomplete-option" id="genie-autocomplete-${i}" role="option" aria-selected="false" data-index="${i}">${label}</li>`;
+        }).join('');
+        this.elements.autocomplete.hidden = false;
+        this.elements.input.removeAttribute('aria-activedescendant');
+    }
+    
+    hideAutocomplete() {
+        this.autocomplete = { questions: [], selected: -1 };
+        if (!this.elements.autocomplete) return;
+        this.elements.autocomplete.hidden = true;
+        this.elements.autocomplete.innerHTML = '';
+        this.elements.input.removeAttribute('aria-activedescendant');
+    }
+    
+    /**
+     * Highlight one autocomplete suggestion (-1 = none)
+     */
+    selectAutocomplete(index) {
+        this.autocomplete.selected = index;
+        this.elements.autocomplete.querySelectorAll('.genie-autocomplete-option').forEach((option, i) => {
+            option.classList.toggle('selected', i === index);
+            option.setAttribute('aria-selected', String(i === index));
+        });
+        
+        if (index >= 0) {
+            this.elements.input.setAttribute('aria-activedescendant', `genie-autocomplete-${index}`);
+        } else {
+            this.elements.input.removeAttribute('aria-activedescendant');
+        }
+    }
+    
+    /**
+     * Put an autocomplete suggestion in the input, and ask it when `send` is true
+     */
+    chooseAutocomplete(index, send) {
+        const question = this.autocomplete.questions[index];
+        if (!question) return;
+        
+        this.hideAutocomplete();
+        this.setInputText(question);
+        if (send) {
+            this.handleSend();
+        }
+    }
+    
+    /**
+     * Replace the input's text (caret at the end) without opening the autocomplete
+     */
+    setInputText(text) {
+        const input = this.elements.input;
+        input.value = text;
+        input.setSelectionRange(text.length, text.length);
+        this.updateSendButton();
+    }
+    
+    updateSendButton() {
+        const text = this.elements.input.value.trim();
+        this.elements.sendBtn.disabled = text.length < 5 || this.isLoading || this.isOffline;
+    }
+
+    /**
+     * Handle send button click
+     * Validates input and sends message to Genie
+     */
+    async handleSend() {
+        const text = this.elements.input.value.trim();
+        
+        // Validate input
+        if (text.length < 5) {
+            alert('Please enter at least 5 characters');
+            return;
+        }
+        
+        if (text.length > 1000) {
+            alert('Message is too long (max 1000 characters)');
+            return;
+        }
+        
+        if (this.isLoading) {
+            return; // Already processing
+        }
+        
+        if (this.isOffline) {
+            return; // Waiting for Databricks to come back (see setOffline)
+        }
+        
+        // Clear input and disable send button
+        this.elements.input.value = '';
+        this.elements.sendBtn.disabled = true;
+        this.hideAutocomplete();
+        this.historyIndex = -1;
+        this.rememberQuestion(text);
+        this.lastQuery = text;
+        
+        // Send message
+        await this.sendMessage(text);
+    }
+    
+    /**
+     * MAIN WORKFLOW: Send a message to Genie
+     * 
+     * Steps:
+     * 1. Display user message immediately
+     * 2. Ask Genie and display the answer (see askQuestion)
+     * 3. If Genie has forgotten the conversation, start a new one (see recoverConversation)
+     * 
+     * The Stop button aborts every request of the question (see stopQuestion); the question
+     * is then marked as cancelled instead of showing an error.
+     */
+    async sendMessage(content) {
+        console.log('📤 Sending message to Genie:', content);
+        let question = null;
+        
+        try {
+            this.isLoading = true;
+            this.abortController = new AbortController();
+            this.elements.button.classList.add('processing');
+            this.showStopButton(true);
             
             // 1. Display user message immediately
-            this.addMessage('user', content);
+            question = this.addMessage('user', { type: 'text', text: content });
             this.scrollToBottom();
             
+            try {
+                // 2. Ask Genie
+                await this.askQuestion(content);
+            } catch (error) {
+                // 3. Expired conversation - anything else is shown as an error below
+                if (error.type !== 'conversation_expired') {
+                    throw error;
+                }
+                await this.recoverConversation(content);
+            }
+            
+        } catch (error) {
+            this.hideTypingIndicator();
+            if (error.name === 'AbortError') {
+                console.log('⏹️  Question stopped');
+                if (question) {
+                    this.updateMessage(question, { cancelled: true });
+                }
+            } else {
+                console.error('❌ Error sending message:', error);
+                this.showError(error.message, true, error);
+            }
+        } finally {
+            this.isLoading = false;
+            this.abortController = null;
+            this.pendingMessage = null;
+            this.elements.button.classList.remove('processing');
+            this.showStopButton(false);
+        }
+    }
+    
+    /**
+     * Stop the question in flight: abort its browser requests, and ask the proxy to cancel
+     * the SQL statement Genie started for it. While the question is still being sent, the
+     * cancel follows once Genie has accepted it (see sendGenieMessage).
+     */
+    stopQuestion() {
+        if (!this.isLoading || !this.abortController) {
+            return;
+        }
+        
+        console.log('⏹️  Stopping question...');
+        const pending = this.pendingMessage;
+        this.abortController.abort();
+        
+        if (pending) {
+            this.cancelMessage(pending);
+        }
+    }
+    
+    /**
+     * Ask the proxy to cancel the SQL statement of a Genie message ({ conversationId, messageId })
+     */
+    cancelMessage(pending) {
+        return this.callAPI('cancel', pending)
+            .then(result => console.log(result.cancelled ? `✅ Statement ${result.statementId} cancelled` : 'ℹ️  No query was running yet'))
+            .catch(error => console.warn('⚠️  Could not cancel the query on Databricks:', error.message));
+    }
+    
+    /**
+     * Swap the send button for the Stop button while a question is in flight
+     */
+    showStopButton(show) {
+        if (!this.elements.stopBtn) return;
+        this.elements.stopBtn.hidden = !show;
+        this.elements.sendBtn.hidden = show;
+        if (!show) {
+            this.elements.sendBtn.disabled = this.elements.input.value.trim().length < 5 || this.isOffline;
+        }
+    }
+    
+    /**
+     * Ask Genie one question in the current conversation and display the answer
+     * 
+     * Steps:
+     * 1. Show the progress bubble (see showLiveMessage)
+     * 2. Start conversation if this is the first message
+     * 3. Send message to Genie API - its id lets the Stop button cancel the query
+     * 4. Poll until message is completed, moving the progress steps along with each status
+     * 5. Display results
+     * 
+     * displayAnswer gets the proxy's normalized answer.
+     * Errors are thrown to sendMessage; their `type` comes from the proxy.
+     */
+    async askQuestion(content) {
+        // 1. Show progress
+        const live = this.showLiveMessage();
+        const { signal } = this.abortController;
+        let result;
+        
+        try {
             // 2. Start conversation if needed
             if (!this.conversationId) {
                 console.log('🆕 Starting new conversation...');
-                const conversationData = await this.callAPI('start-conversation');
+                const conversationData = await this.callAPI('start-conversation', {}, { signal });
                 this.conversationId = conversationData.conversation_id;
                 console.log('✅ Conversation started:', this.conversationId);
                 this.saveState();
@@ -545,324 +1714,1343 @@ class GenieChat {
             
             // 3. Send message to Genie
             console.log('💬 Sending message to conversation:', this.conversationId);
-            const messageData = await this.callAPI('send-message', {
-                conversationId: this.conversationId,
-                content: content
+            const messageData = await this.sendGenieMessage(content, signal);
+            
+            const messageId = messageData.messageId;
+            console.log('✅ Message sent, ID:', messageId);
+            console.log('📊 Initial status:', messageData.status);
+            this.setLiveStatus(live, messageData.status);
+            
+            // 4. Poll for results (with exponential backoff)
+            console.log('⏳ Polling for results...');
+            result = await this.completeExpiredAnswer(await this.pollForResult(messageId, 0, live));
+        } finally {
+            this.removeLiveMessage(live);
+        }
+        
+        // 5. Display results
+        this.displayAnswer(result);
+    }
+    
+    /**
+     * Send a question to the current Genie conversation and remember it as this.pendingMessage,
+     * so the Stop button can cancel its query
+     * 
+     * The request itself is not aborted by Stop: Genie may accept the question anyway, and we
+     * only learn the message id from the response. Stop still ends the wait right away, and
+     * when the id arrives afterwards the message's query is cancelled then.
+     */
+    sendGenieMessage(content, signal) {
+        const conversationId = this.conversationId;
+        const sending = this.callAPI('send-message', { conversationId, content });
+        
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(new DOMException('Question stopped', 'AbortError'));
+                sending
+                    .then(data => this.cancelMessage({ conversationId, messageId: data.messageId }))
+                    .catch(() => {});   // nothing was sent, so nothing to cancel
+            };
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            
+            sending.then(data => {
+                signal.removeEventListener('abort', onAbort);
+                if (signal.aborted) {
+                    return;   // onAbort already rejected and cancels this message
+                }
+                this.pendingMessage = { conversationId, messageId: data.messageId };
+                resolve(data);
+            }, error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+        });
+    }
+    
+    /**
+     * EXPIRED CONVERSATION: Genie no longer knows this.conversationId
+     * 
+     * Starts a new conversation, re-asks the last GENIE_REPLAY_QUESTIONS earlier questions in it
+     * so Genie has their context (their answers are not shown again), tells the user, and then
+     * asks `content` in the new conversation.
+     */
+    async recoverConversation(content) {
+        const earlier = this.messages
+            .filter(m => m.role === 'user' && m.type === 'text' && m.text !== content)
+            .map(m => m.text)
+            .slice(-GENIE_REPLAY_QUESTIONS);
+        
+        console.warn(`♻️  Conversation ${this.conversationId} expired - starting a new one with ${earlier.length} earlier question(s)`);
+        this.conversationId = null;
+        
+        const { signal } = this.abortController;
+        const conversationData = await this.callAPI('start-conversation', {}, { signal });
+        this.conversationId = conversationData.conversation_id;
+        console.log('✅ Conversation started:', this.conversationId);
+        this.saveState();
+        
+        this.addMessage('assistant', {
+            type: 'text',
+            text: earlier.length > 0
+                ? `Genie had forgotten this conversation, so I started a new one and re-asked your last ${earlier.length === 1 ? 'question' : `${earlier.length} questions`} for context.`
+                : 'Genie had forgotten this conversation, so I started a new one.'
+        });
+        
+        this.showTypingIndicator();
+        for (const question of earlier) {
+            try {
+                // No progress to show here, so the proxy's `ask` does the polling
+                await this.callAPI('ask', { conversationId: this.conversationId, content: question }, { signal });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                // Context is best effort - the new question is still worth asking
+                console.warn('⚠️  Could not re-ask earlier question:', question, error.message);
+            }
+        }
+        this.hideTypingIndicator();
+        
+        await this.askQuestion(content);
+    }
+    
+    /**
+     * Poll for message result with EXPONENTIAL BACKOFF
+     * 
+     * WHY EXPONENTIAL BACKOFF:
+     * - Genie takes time to generate and execute SQL (typically 2-10 seconds)
+     * - We don't want to spam the API with requests every 100ms
+     * - Start with short delays (500ms), gradually increase to longer delays (5s)
+     * - This balances responsiveness with API efficiency
+     * 
+     * POLLING SEQUENCE:
+     * - Attempt 1: Wait 500ms
+     * - Attempt 2: Wait 1000ms
+     * - Attempt 3: Wait 2000ms
+     * - Attempt 4+: Wait 5000ms (max)
+     * - Timeout after 60 seconds total
+     */
+    async pollForResult(messageId, attempt = 0, live = null) {
+        const delays = [500, 1000, 2000, 5000]; // Milliseconds
+        const maxAttempts = 30; // ~60 seconds total
+        
+        if (attempt >= maxAttempts) {
+            throw new Error('Query timeout - Genie took too long to respond. This might be a complex query.');
+        }
+        
+        // Calculate delay for this attempt (exponential backoff)
+        const delay = delays[Math.min(attempt, delays.length - 1)];
+        console.log(`⏱️  Poll attempt ${attempt + 1}, waiting ${delay}ms...`);
+        
+        // Wait before polling (the Stop button ends the wait early)
+        const { signal } = this.abortController;
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Question stopped', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+        
+        // Poll the API
+        const result = await this.callAPI('poll-result', {
+            conversationId: this.conversationId,
+            messageId: messageId
+        }, { signal });
+        
+        console.log(`📊 Poll result - Status: ${result.status}`);
+        if (live) {
+            this.setLiveStatus(live, result.status);
+        }
+        
+        // Check status
+        // The statuses of the progress steps (SUBMITTED ... EXECUTING) are intermediate states
+        if (GENIE_WORKING_STATUSES.includes(result.status)) {
+            // Still processing, poll again
+            console.log(`⏳ Status: ${result.status} - continuing to poll...`);
+            return this.pollForResult(messageId, attempt + 1, live);
+        } else if (result.status === 'COMPLETED') {
+            console.log('✅ Message completed!');
+            console.log('📦 Full result data:', result);
+            return result;
+        } else if (result.status === 'QUERY_RESULT_EXPIRED') {
+            // Final too - the rows are gone, askQuestion runs the query again
+            console.log('⌛ Message completed, but its result has expired');
+            return result;
+        } else if (result.status === 'FAILED') {
+            console.error('❌ Message failed:', result);
+            result.text.forEach(text => console.error('💬 Genie explanation:', text));
+            throw new Error(result.error || 'Query failed');
+        } else if (result.status === 'CANCELLED') {
+            console.warn('⏹️  Message was cancelled');
+            throw new Error('The question was cancelled before Genie answered. Try asking it again.');
+        } else {
+            // Unknown status - log it but try to continue polling
+            console.warn('⚠️  Unknown status:', result.status, '- will try polling again');
+            return this.pollForResult(messageId, attempt + 1, live);
+        }
+    }
+    
+    /**
+     * An answer whose result expired before it was read (QUERY_RESULT_EXPIRED) has no rows -
+     * run its query again through the refresh-result proxy action and use the fresh rows
+     */
+    async completeExpiredAnswer(answer) {
+        if (answer.status !== 'QUERY_RESULT_EXPIRED' || !answer.attachmentId) {
+            return answer;
+        }
+        
+        console.log('♻️  Result expired - running the query again');
+        const fresh = await this.callAPI('refresh-result', {
+            conversationId: answer.conversationId,
+            messageId: answer.messageId,
+            attachmentId: answer.attachmentId
+        }, { signal: this.abortController && this.abortController.signal });
+        const { status, statementId, columns, rows, rowCount, truncated, page } = fresh;
+        return { ...answer, status, statementId, columns, rows, rowCount, truncated, page };
+    }
+    
+    /**
+     * Display the answer from Genie
+     * 
+     * The proxy turns every Genie/Statement response into one normalized answer
+     * (documented at normalizeAnswer in api/shared/genie-client.js), so this is
+     * the only shape the chat has to render:
+     * {
+     *   "status": "COMPLETED",
+     *   "text": ["Based on the query results..."],
+     *   "sql": "SELECT driver, COUNT(*) AS wins ...",
+     *   "columns": [{"name": "driver", "type": "STRING"}, {"name": "wins", "type": "LONG"}],
+     *   "rows": [["Lewis Hamilton", 103], ...],
+     *   "rowCount": 25,
+     *   "truncated": false,
+     *   "suggestions": ["Who has the most pole positions?"]
+     * }
+     */
+    displayAnswer(answer) {
+        console.log('🎨 Displaying answer...', answer);
+        
+        if (answer.sql) {
+            console.log('🔍 SQL query generated:', answer.sql);
+        }
+        
+        const answerMessages = [];
+        
+        if (answer.rows.length > 0) {
+            console.log('✅ Rendering data table with', answer.rows.length, 'rows');
+            answerMessages.push(this.addMessage('assistant', {
+                type: 'table',
+                result: {
+                    statementId: answer.statementId,
+                    columns: answer.columns,
+                    rows: answer.rows,
+                    rowCount: answer.rowCount,
+                    truncated: answer.truncated,
+                    page: answer.page,
+                    // Lets "Refresh data" run the query again (see refreshResult)
+                    source: answer.attachmentId
+                        ? { conversationId: answer.conversationId, messageId: answer.messageId, attachmentId: answer.attachmentId }
+                        : null
+                }
+            }));
+        }
+        
+        answer.text.forEach(text => answerMessages.push(this.addMessage('assistant', { type: 'text', text })));
+        
+        if (answer.rows.length === 0 && answer.text.length === 0) {
+            console.warn('⚠️  No data or text explanation found in answer');
+            answerMessages.push(this.addMessage('assistant', {
+                type: 'text',
+                text: 'Query completed but Genie returned no displayable results. Try rephrasing your question.'
+            }));
+        }
+        
+        // The SQL panel goes under the data (or the first message when there are no rows)
+        if (answer.sql) {
+            this.updateMessage(answerMessages[0], { sql: answer.sql });
+        }
+        
+        // Thumbs up/down go under the answer's last message, above the suggestions
+        if (answer.conversationId && answer.messageId) {
+            this.updateMessage(answerMessages[answerMessages.length - 1], {
+                feedback: { conversationId: answer.conversationId, messageId: answer.messageId, rating: null }
+            });
+        }
+        
+        if (answer.suggestions.length > 0) {
+            this.addMessage('assistant', { type: 'suggestions', questions: answer.suggestions });
+        }
+        
+        this.scrollToBottom();
+    }
+    
+    /**
+     * Render query result as HTML table
+     * 
+     * INPUT FORMAT (normalized answer from the proxy):
+     * {
+     *   "columns": [
+     *     {"name": "driver", "type": "STRING"},
+     *     {"name": "wins", "type": "LONG"}
+     *   ],
+     *   "rows": [
+     *     ["Lewis Hamilton", 103],
+     *     ["Michael Schumacher", 91],
+     *     ["Sebastian Vettel", 53]
+     *   ],
+     *   "rowCount": 25,
+     *   "truncated": false
+     * }
+     * 
+     * OUTPUT: HTML table with F1 styling
+     */
+    renderDataTable(result, view = {}) {
+        const { columns, rows, rowCount } = result;
+        
+        // Handle empty results
+        if (!rows || rows.length === 0) {
+            return '<p style="color: var(--medium-gray); font-style: italic;">No data found for this query.</p>';
+        }
+        
+        console.log('🎨 Rendering table with', rows.length, 'rows and', columns.length, 'columns');
+        
+        const hidden = view.hidden || [];
+        const filterValue = this.escapeAttribute(view.filter || '');
+        
+        // Toolbar: quick filter + column show/hide
+        let html = `
+            <div class="genie-table-toolbar">
+                <input type="search" class="genie-table-filter" data-action="filter-table"
+                    placeholder="Filter rows..." aria-label="Filter rows" value="${filterValue}">
+                <details class="genie-column-menu">
+                    <summary>Columns</summary>
+                    <div class="genie-column-options">
+                        ${columns.map((col, i) => `
+                            <label><input type="checkbox" data-action="toggle-column" data-column="${i}"${hidden.includes(i) ? '' : ' checked'}> ${this.escapeHtml(col.name)}</label>
+                        `).join('')}
+                    </div>
+                </details>
+            </div>
+        `;
+        
+        html += `<div class="genie-table-wrapper">${this.renderTableContent(result, view)}</div>`;
+        
+        // Show row count if truncated (paged results show it in their page controls instead)
+        if (result.truncated && !result.page) {
+            html += `<p style="color: var(--gold); font-size: 0.85rem; margin-top: 5px;">Showing first ${rows.length} of ${this.escapeHtml(String(rowCount))} rows</p>`;
+        }
+        
+        return html;
+    }
+    
+    /**
+     * Render the <table> itself for the current table view
+     * Re-rendered on its own when sorting, filtering or hiding columns, so the filter box keeps focus
+     * 
+     * VIEW STATE (stored on the message as message.table):
+     * {
+     *   "sortColumn": 2,          // column index, or null for Genie's order
+     *   "sortDir": "desc",        // asc | desc
+     *   "filter": "ferrari",      // quick filter text
+     *   "hidden": [1]             // hidden column indexes
+     * }
+     */
+    renderTableContent(result, view = {}) {
+        const { columns } = result;
+        const hidden = view.hidden || [];
+        const visible = columns.map((col, i) => i).filter(i => !hidden.includes(i));
+        const rows = this.getTableRows(result, view);
+        const drillDowns = columns.map(col => Boolean(this.getDrillDownQuestions(col.name)));
+        
+        let html = '<table class="genie-results-table">';
+        
+        if (view.filter) {
+            html += `<caption class="genie-table-status">${rows.length} of ${result.rows.length} rows match</caption>`;
+        }
+        
+        // Table Header - click to sort
+        html += '<thead><tr>';
+        visible.forEach(i => {
+            const sorted = view.sortColumn === i;
+            const ariaSort = sorted ? (view.sortDir === 'desc' ? 'descending' : 'ascending') : 'none';
+            const indicator = sorted ? (view.sortDir === 'desc' ? '▼' : '▲') : '';
+            html += `<th class="sortable" data-action="sort-table" data-column="${i}" aria-sort="${ariaSort}" title="Sort by ${this.escapeAttribute(columns[i].name)}">`;
+            html += `${this.escapeHtml(columns[i].name)}<span class="sort-indicator">${indicator}</span></th>`;
+        });
+        html += '</tr></thead>';
+        
+        // Table Body
+        html += '<tbody>';
+        rows.forEach(row => {
+            html += '<tr>';
+            visible.forEach(colIndex => {
+                const cell = row[colIndex];
+                const isNumeric = GENIE_NUMERIC_TYPES.includes(columns[colIndex].type);
+                const className = isNumeric ? 'numeric' : '';
+                const displayValue = cell === null ? 'NULL' : String(cell);
+                
+                // Entity columns (drivers, teams, ...) offer follow-up questions about the cell
+                const content = drillDowns[colIndex] && cell !== null && displayValue.trim()
+                    ? `<button class="genie-drill-cell" data-action="drill-down" data-column="${colIndex}" data-value="${this.escapeAttribute(displayValue)}" title="Ask about ${this.escapeAttribute(displayValue)}">${this.escapeHtml(displayValue)}</button>`
+                    : this.escapeHtml(displayValue);
+                html += `<td class="${className}">${content}</td>`;
+            });
+            html += '</tr>';
+        });
+        if (rows.length === 0) {
+            html += `<tr><td class="genie-table-empty" colspan="${visible.length}">No rows match the filter</td></tr>`;
+        }
+        html += '</tbody>';
+        
+        html += '</table>';
+        return html;
+    }
+    
+    /**
+     * Apply the table view's filter and sort to the loaded rows
+     * Numeric columns sort as numbers, everything else as text; NULLs always go last
+     */
+    getTableRows(result, view) {
+        const hidden = view.hidden || [];
+        let rows = result.rows;
+        
+        const filter = (view.filter || '').trim().toLowerCase();
+        if (filter) {
+            rows = rows.filter(row => row.some((cell, i) =>
+                !hidden.includes(i) && String(cell === null ? 'NULL' : cell).toLowerCase().includes(filter)));
+        }
+        
+        if (view.sortColumn !== null && view.sortColumn !== undefined && result.columns[view.sortColumn]) {
+            const col = view.sortColumn;
+            const numeric = GENIE_NUMERIC_TYPES.includes(result.columns[col].type);
+            const dir = view.sortDir === 'desc' ? -1 : 1;
+            const compare = (a, b) => {
+                if (a === null || b === null) {
+                    return (a === null) - (b === null);
+                }
+                return dir * (numeric
+                    ? Number(a) - Number(b)
+                    : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' }));
+            };
+            
+            // Sort a copy, keeping Genie's order for equal values
+            rows = rows
+                .map((row, index) => ({ row, index }))
+                .sort((a, b) => compare(a.row[col], b.row[col]) || a.index - b.index)
+                .map(entry => entry.row);
+        }
+        
+        return rows;
+    }
+    
+    /**
+     * Follow-up question templates for a column (see GENIE_DRILL_DOWNS), or null
+     */
+    getDrillDownQuestions(columnName) {
+        const drillDown = GENIE_DRILL_DOWNS.find(entry => entry.columns.test(columnName));
+        return drillDown ? drillDown.questions : null;
+    }
+    
+    /**
+     * Show the follow-up questions for a clicked table cell under the table
+     * They are asked like related questions, in the same conversation
+     */
+    showDrillDown(message, messageDiv, button) {
+        const column = message.result.columns[Number(button.dataset.column)];
+        const templates = column && this.getDrillDownQuestions(column.name);
+        if (!templates) return;
+        
+        const value = button.dataset.value;
+        // A replacer function, so "$&" or "$'" in a cell value is kept as typed
+        const questions = templates.map(template => template.replace(/\{value\}/g, () => value));
+        
+        const old = messageDiv.querySelector('.genie-drill-down');
+        if (old) {
+            old.remove();
+        }
+        
+        const menu = document.createElement('div');
+        menu.className = 'genie-drill-down';
+        menu.innerHTML = `
+            <button class="genie-drill-down-close" data-action="close-drill-down" aria-label="Close follow-up questions">&times;</button>
+            ${this.renderSuggestedQuestions(questions, `🔎 Ask about ${this.escapeHtml(value)}:`)}
+        `;
+        messageDiv.querySelector('.genie-table-wrapper').after(menu);
+        menu.querySelector('.suggested-question').focus();
+    }
+    
+    /**
+     * Change a result table's view (sort, filter, hidden columns) and re-render just the table
+     * Filter typing passes saveNow = false so history is saved once the user pauses, not per key.
+     */
+    updateTableView(message, messageDiv, changes, saveNow = true) {
+        message.table = { ...message.table, ...changes };
+        messageDiv.querySelector('.genie-table-wrapper').innerHTML = this.renderTableContent(message.result, message.table);
+        if (saveNow) {
+            this.saveState();
+        } else {
+            this.saveFilterState();
+        }
+    }
+    
+    /**
+     * Header click: sort by that column - numbers start descending (most wins first),
+     * text ascending; a second click flips the order, a third restores Genie's order
+     */
+    sortTable(message, messageDiv, column) {
+        const view = message.table || {};
+        const numeric = GENIE_NUMERIC_TYPES.includes(message.result.columns[column].type);
+        const firstDir = numeric ? 'desc' : 'asc';
+        
+        if (view.sortColumn !== column) {
+            this.updateTableView(message, messageDiv, { sortColumn: column, sortDir: firstDir });
+        } else if (view.sortDir === firstDir) {
+            this.updateTableView(message, messageDiv, { sortDir: firstDir === 'asc' ? 'desc' : 'asc' });
+        } else {
+            this.updateTableView(message, messageDiv, { sortColumn: null, sortDir: null });
+        }
+    }
+    
+    /**
+     * Column checkbox: show or hide that column (the last visible column can't be hidden)
+     */
+    toggleTableColumn(message, messageDiv, checkbox) {
+        const column = Number(checkbox.dataset.column);
+        const hidden = (message.table && message.table.hidden) || [];
+        
+        if (checkbox.checked) {
+            this.updateTableView(message, messageDiv, { hidden: hidden.filter(i => i !== column) });
+        } else if (hidden.length + 1 >= message.result.columns.length) {
+            checkbox.checked = true;
+        } else {
+            this.updateTableView(message, messageDiv, { hidden: [...hidden, column] });
+        }
+    }
+    
+    /**
+     * Render a result message: table or chart (with a toggle when the result can be charted)
+     * and the paging controls. message.display remembers the user's choice.
+     */
+    renderResult(message) {
+        const { result } = message;
+        if (result.evicted) {
+            // Rows come back from the statement when there is one, otherwise only by running the query again
+            const canRefresh = Boolean(this.getResultSource(message));
+            const reload = result.statementId
+                ? '<button class="genie-page-btn" data-action="reload-rows">Load rows again</button>'
+                : `<p>${canRefresh ? 'Refresh the data to see them again.' : 'They can no longer be loaded - ask the question again to see them.'}</p>`;
+            return `
+                <div class="genie-evicted">
+                    <p>The ${this.escapeHtml(Number(result.rowCount).toLocaleString())} rows of this older result were removed from saved history to save space.</p>
+                    ${reload}
+                </div>
+            ` + this.renderRefreshControl(message) + (result.statementId || canRefresh ? this.renderExportMenu() : '');
+        }
+        
+        const chart = this.pickChart(result);
+        const showChart = chart && (message.display || GENIE_SETTINGS.defaultResultView) === 'chart';
+        let html = '';
+        
+        if (chart) {
+            html += `
+                <div class="genie-view-toggle" role="group" aria-label="Show results as">
+                    <button class="genie-view-btn${showChart ? '' : ' active'}" data-action="show-table" aria-pressed="${!showChart}">Table</button>
+                    <button class="genie-view-btn${showChart ? ' active' : ''}" data-action="show-chart" aria-pressed="${showChart}">Chart</button>
+                </div>
+            `;
+        }
+        
+        html += showChart
+            ? this.renderChart(result, chart, message.table || {})
+            : this.renderDataTable(result, message.table);
+        
+        return html + this.renderPageControls(result) + this.renderRefreshControl(message) + this.renderExportMenu();
+    }
+    
+    /**
+     * "Refresh data" under a result that can be run again, with the time its rows are from
+     */
+    renderRefreshControl(message) {
+        if (!this.getResultSource(message)) {
+            return '';
+        }
+        
+        const asOf = new Date(message.result.refreshedAt || message.timestamp)
+            .toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        return `
+            <div class="genie-refresh">
+                <span class="genie-refresh-info">Data as of ${this.escapeHtml(asOf)}</span>
+                <button class="genie-refresh-btn" data-action="refresh-result" title="Run this query again for current data">↻ Refresh data</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Ids refresh-result needs for a table message: { conversationId, messageId, attachmentId }
+     * Results saved before they kept their source fall back to the ids on the answer's
+     * feedback buttons; the proxy then finds the attachment itself.
+     */
+    getResultSource(message) {
+        if (message.result.source) {
+            return message.result.source;
+        }
+        
+        const index = this.messages.indexOf(message);
+        const rated = this.messages.slice(index).find((m, i) => m.feedback || (i > 0 && m.role === 'user'));
+        if (!rated || !rated.feedback) {
+            return null;
+        }
+        return { conversationId: rated.feedback.conversationId, messageId: rated.feedback.messageId, attachmentId: null };
+    }
+    
+    /**
+     * Run a stored answer's query again (refresh-result) and swap in the fresh rows
+     * Sorting, filters and hidden columns are kept
+     */
+    async refreshResult(message, button) {
+        const source = this.getResultSource(message);
+        button.disabled = true;
+        button.textContent = 'Refreshing...';
+        console.log('♻️  Refreshing result of message', source.messageId);
+        
+        try {
+            const answer = await this.callAPI('refresh-result', source);
+            this.updateMessage(message, {
+                result: {
+                    statementId: answer.statementId,
+                    columns: answer.columns,
+                    rows: answer.rows,
+                    rowCount: answer.rowCount,
+                    truncated: answer.truncated,
+                    page: answer.page,
+                    source: { conversationId: answer.conversationId, messageId: answer.messageId, attachmentId: answer.attachmentId },
+                    refreshedAt: Date.now()
+                }
             });
-            
-            const messageId = messageData.id;
-            console.log('✅ Message sent, ID:', messageId);
-            console.log('📊 Initial status:', messageData.status);
-            
-            // 4. Show typing indicator
-            this.showTypingIndicator();
-            
-            // 5. Poll for results (with exponential backoff)
-            console.log('⏳ Polling for results...');
-            const result = await this.pollForResult(messageId);
-            
-            // 6. Display results
-            this.hideTypingIndicator();
-            await this.displayResult(result);
-            
         } catch (error) {
-            console.error('❌ Error sending message:', error);
-            this.hideTypingIndicator();
-            this.showError(error.message, true);
-        } finally {
-            this.isLoading = false;
-            this.elements.button.classList.remove('processing');
+            console.error('❌ Failed to refresh result:', error);
+            button.disabled = false;
+            button.textContent = '↻ Refresh data';
+            this.showError(`Could not refresh the data: ${error.message}`, false, error);
         }
     }
     
     /**
-     * Poll for message result with EXPONENTIAL BACKOFF
-     * 
-     * WHY EXPONENTIAL BACKOFF:
-     * - Genie takes time to generate and execute SQL (typically 2-10 seconds)
-     * - We don't want to spam the API with requests every 100ms
-     * - Start with short delays (500ms), gradually increase to longer delays (5s)
-     * - This balances responsiveness with API efficiency
-     * 
-     * POLLING SEQUENCE:
-     * - Attempt 1: Wait 500ms
-     * - Attempt 2: Wait 1000ms
-     * - Attempt 3: Wait 2000ms
-     * - Attempt 4+: Wait 5000ms (max)
-     * - Timeout after 60 seconds total
+     * Export actions under a result: downloads and clipboard copies of the full result
      */
-    async pollForResult(messageId, attempt = 0) {
-        const delays = [500, 1000, 2000, 5000]; // Milliseconds
-        const maxAttempts = 30; // ~60 seconds total
+    renderExportMenu() {
+        return `
+            <div class="genie-export" role="group" aria-label="Export results">
+                <span class="genie-export-label">Export:</span>
+                <button class="genie-export-btn" data-action="export" data-format="csv" title="Download as CSV">CSV</button>
+                <button class="genie-export-btn" data-action="export" data-format="json" title="Download as JSON">JSON</button>
+                <button class="genie-export-btn" data-action="export" data-format="markdown" title="Copy as a Markdown table">Markdown</button>
+                <button class="genie-export-btn" data-action="export" data-format="tsv" title="Copy for pasting into a spreadsheet">Copy for sheets</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Pick a chart for a result from its column schema:
+     * - year/season/date column + numeric column  -> line chart  (e.g. points per season)
+     * - text column + numeric column              -> bar chart   (e.g. wins per driver)
+     * - two numeric columns                       -> scatter     (e.g. poles vs wins)
+     * A year/season column is never the plotted value, so a lone numeric "season" gives no chart.
+     * Returns { type, x, y } with column indexes, or null when nothing fits.
+     */
+    pickChart(result) {
+        const { columns, rows } = result;
+        if (!rows || rows.length < 2) {
+            return null;
+        }
         
-        if (attempt >= maxAttempts) {
-            throw new Error('Query timeout - Genie took too long to respond. This might be a complex query.');
+        const numeric = columns.map((col, i) => i).filter(i => GENIE_NUMERIC_TYPES.includes(columns[i].type));
+        const valueFor = x => numeric.find(i => i !== x);
+        
+        // A time column needs another numeric column to plot against it
+        const time = columns.findIndex((col, i) =>
+            (GENIE_DATE_TYPES.includes(col.type) || GENIE_TIME_COLUMN_NAME.test(col.name)) && valueFor(i) !== undefined);
+        if (time !== -1) {
+            return { type: 'line', x: time, y: valueFor(time) };
         }
         
-        // Calculate delay for this attempt (exponential backoff)
-        const delay = delays[Math.min(attempt, delays.length - 1)];
-        console.log(`⏱️  Poll attempt ${attempt + 1}, waiting ${delay}ms...`);
+        // Years and seasons are labels, not amounts to draw bars for
+        const valueColumn = numeric.find(i => !GENIE_TIME_COLUMN_NAME.test(columns[i].name));
         
-        // Wait before polling
-        await new Promise(resolve => setTimeout(resolve, delay));
+        const label = columns.findIndex(col => col.type === 'STRING');
+        if (label !== -1 && valueColumn !== undefined) {
+            return { type: 'bar', x: label, y: valueColumn };
+        }
         
-        // Poll the API
-        const result = await this.callAPI('poll-result', {
-            conversationId: this.conversationId,
-            messageId: messageId
+        if (numeric.length >= 2) {
+            return { type: 'scatter', x: numeric[0], y: numeric[1] };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Render a chart as inline SVG (no chart library - the CSP only allows our own scripts)
+     * Uses the rows as the table view shows them, so filtering and sorting carry over
+     */
+    renderChart(result, chart, view) {
+        const { columns } = result;
+        const xName = columns[chart.x].name;
+        const yName = columns[chart.y].name;
+        const toNumber = (value, col) => (GENIE_DATE_TYPES.includes(columns[col].type) ? Date.parse(value) : Number(value));
+        
+        const points = this.getTableRows(result, view)
+            .filter(row => row[chart.x] !== null && row[chart.y] !== null)
+            .map(row => ({ label: String(row[chart.x]), x: toNumber(row[chart.x], chart.x), y: Number(row[chart.y]) }))
+            .filter(p => Number.isFinite(p.y) && (chart.type === 'bar' || Number.isFinite(p.x)));
+        
+        if (points.length === 0) {
+            return '<p class="genie-chart-empty">No rows to chart.</p>';
+        }
+        
+        console.log(`📈 Rendering ${chart.type} chart of ${yName} by ${xName} (${points.length} points)`);
+        
+        const title = chart.type === 'scatter' ? `${yName} vs ${xName}` : `${yName} by ${xName}`;
+        const svg = chart.type === 'bar'
+            ? this.renderBarChart(points.slice(0, GENIE_CHART_MAX_BARS), title)
+            : this.renderPointChart(points, chart.type, title);
+        
+        let html = `<figure class="genie-chart">${svg}<figcaption>${this.escapeHtml(title)}</figcaption></figure>`;
+        if (chart.type === 'bar' && points.length > GENIE_CHART_MAX_BARS) {
+            html += `<p class="genie-chart-note">Charting the first ${GENIE_CHART_MAX_BARS} of ${points.length} rows - switch to the table for all of them</p>`;
+        }
+        return html;
+    }
+    
+    /**
+     * Horizontal bar chart - long driver and team names stay readable in the narrow chat panel
+     */
+    renderBarChart(points, title) {
+        const width = 400;
+        const labelWidth = 120;
+        const valueWidth = 50;
+        const barHeight = 18;
+        const gap = 6;
+        const height = points.length * (barHeight + gap) + gap;
+        const max = Math.max(...points.map(p => p.y), 0) || 1;
+        
+        let bars = '';
+        points.forEach((p, i) => {
+            const y = gap + i * (barHeight + gap);
+            const barWidth = Math.max(0, p.y) / max * (width - labelWidth - valueWidth);
+            const label = p.label.length > 18 ? `${p.label.slice(0, 17)}…` : p.label;
+            bars += `
+                <g>
+                    <title>${this.escapeHtml(`${p.label}: ${this.formatChartNumber(p.y)}`)}</title>
+                    <text class="genie-chart-label" x="${labelWidth - 6}" y="${y + barHeight / 2}" text-anchor="end" dominant-baseline="middle">${this.escapeHtml(label)}</text>
+                    <rect class="genie-chart-bar" x="${labelWidth}" y="${y}" width="${barWidth.toFixed(1)}" height="${barHeight}" rx="2"></rect>
+                    <text class="genie-chart-value" x="${(labelWidth + barWidth + 4).toFixed(1)}" y="${y + barHeight / 2}" dominant-baseline="middle">${this.formatChartNumber(p.y)}</text>
+                </g>`;
         });
         
-        console.log(`📊 Poll result - Status: ${result.status}`);
+        return `<svg class="genie-chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Bar chart: ${this.escapeAttribute(title)}">${bars}</svg>`;
+    }
+    
+    /**
+     * Line chart (points joined in x order) or scatter plot, with min/max axis labels
+     */
+    renderPointChart(points, type, title) {
+        const width = 400;
+        const height = 220;
+        const pad = { top: 10, right: 12, bottom: 28, left: 48 };
         
-        // Check status
-        // FILTERING_CONTEXT, EXECUTING, QUERY_RESULT_EXPIRED, ASKING_AI, PENDING_WAREHOUSE are intermediate states
-        if (result.status === 'EXECUTING' || result.status === 'FILTERING_CONTEXT' || result.status === 'QUERY_RESULT_EXPIRED' || result.status === 'ASKING_AI' || result.status === 'PENDING_WAREHOUSE') {
-            // Still processing, poll again
-            console.log(`⏳ Status: ${result.status} - continuing to poll...`);
-            return this.pollForResult(messageId, attempt + 1);
-        } else if (result.status === 'COMPLETED') {
-            console.log('✅ Message completed!');
-            console.log('📦 Full result data:', result);
-            return result;
-        } else if (result.status === 'FAILED') {
-            console.error('❌ Message failed:', result);
+        if (type === 'line') {
+            points = [...points].sort((a, b) => a.x - b.x);
+        }
+        
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const xMin = Math.min(...xs);
+        const xMax = Math.max(...xs) === xMin ? xMin + 1 : Math.max(...xs);
+        const yMin = type === 'line' ? Math.min(0, ...ys) : Math.min(...ys);
+        const yMax = Math.max(...ys) === yMin ? yMin + 1 : Math.max(...ys);
+        
+        const sx = x => pad.left + (x - xMin) / (xMax - xMin) * (width - pad.left - pad.right);
+        const sy = y => height - pad.bottom - (y - yMin) / (yMax - yMin) * (height - pad.top - pad.bottom);
+        
+        // Axes with labels at both ends
+        const minLabel = points.find(p => p.x === Math.min(...xs)).label;
+        const maxLabel = points.find(p => p.x === Math.max(...xs)).label;
+        let svg = `
+            <line class="genie-chart-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+            <line class="genie-chart-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"></line>
+            <text class="genie-chart-label" x="${pad.left - 6}" y="${sy(yMax)}" text-anchor="end" dominant-baseline="middle">${this.formatChartNumber(yMax)}</text>
+            <text class="genie-chart-label" x="${pad.left - 6}" y="${sy(yMin)}" text-anchor="end" dominant-baseline="middle">${this.formatChartNumber(yMin)}</text>
+            <text class="genie-chart-label" x="${pad.left}" y="${height - 8}">${this.escapeHtml(minLabel)}</text>
+            <text class="genie-chart-label" x="${width - pad.right}" y="${height - 8}" text-anchor="end">${this.escapeHtml(maxLabel)}</text>
+        `;
+        
+        if (type === 'line') {
+            const path = points.map(p => `${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(' ');
+            svg += `<polyline class="genie-chart-line" points="${path}"></polyline>`;
+        }
+        
+        points.forEach(p => {
+            svg += `<circle class="genie-chart-point" cx="${sx(p.x).toFixed(1)}" cy="${sy(p.y).toFixed(1)}" r="${type === 'line' ? 3 : 4}">
+                <title>${this.escapeHtml(`${p.label}: ${this.formatChartNumber(p.y)}`)}</title></circle>`;
+        });
+        
+        const kind = type === 'line' ? 'Line chart' : 'Scatter plot';
+        return `<svg class="genie-chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${kind}: ${this.escapeAttribute(title)}">${svg}</svg>`;
+    }
+    
+    formatChartNumber(value) {
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+    
+    /**
+     * Export a result message in one of the renderExportMenu formats
+     * Always exports every row of the query, fetching the pages that aren't loaded yet
+     */
+    async exportResult(message, format, button) {
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Preparing...';
+        
+        try {
+            const { columns } = message.result;
+            const rows = await this.fetchAllRows(message.result);
+            const fileName = `f1-genie-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}`;
+            console.log(`📤 Exporting ${rows.length} rows as ${format}`);
             
-            // Extract detailed error information
-            let errorMessage = 'Query failed';
-            if (result.error) {
-                if (typeof result.error === 'object' && result.error.error) {
-                    errorMessage = result.error.error;
-                } else if (typeof result.error === 'string') {
-                    errorMessage = result.error;
-                } else {
-                    errorMessage = JSON.stringify(result.error);
-                }
+            switch (format) {
+                case 'csv':
+                    // The byte order mark makes Excel read the file as UTF-8 (Räikkönen, Pérez, ...)
+                    this.downloadFile(`${fileName}.csv`, 'text/csv', '\ufeff' + this.toDelimited(columns, rows, ','));
+                    button.textContent = 'Downloaded';
+                    break;
+                case 'json':
+                    this.downloadFile(`${fileName}.json`, 'application/json', this.toJson(columns, rows));
+                    button.textContent = 'Downloaded';
+                    break;
+                case 'markdown':
+                    await this.copyToClipboard(this.toMarkdownTable(columns, rows));
+                    button.textContent = 'Copied!';
+                    break;
+                case 'tsv':
+                    await this.copyToClipboard(this.toDelimited(columns, rows, '\t'));
+                    button.textContent = 'Copied!';
+                    break;
             }
-            
-            // Check for attachments with error details
-            if (result.attachments && result.attachments.length > 0) {
-                console.error('📋 Error attachments:', result.attachments);
-                // Try to extract text content from attachments
-                for (const attachment of result.attachments) {
-                    if (attachment.text && attachment.text.content) {
-                        console.error('💬 Genie explanation:', attachment.text.content);
-                    }
-                }
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            this.showError(`Could not export the result: ${error.message}`, false, error);
+            button.textContent = label;
+        } finally {
+            button.disabled = false;
+            setTimeout(() => { button.textContent = label; }, 2000);
+        }
+    }
+    
+    /**
+     * All rows of a result - the loaded rows when they are complete, otherwise every page
+     * from the proxy's fetch-statement-page action
+     */
+    async fetchAllRows(result) {
+        const complete = !result.evicted && (!result.page || (result.page.offset === 0 && result.rows.length >= result.rowCount));
+        if (complete) {
+            return result.rows;
+        }
+        if (!result.statementId) {
+            // Inline results have no statement to page through
+            if (result.evicted) {
+                throw new Error('its rows were removed from saved history - refresh the data first');
             }
-            
-            throw new Error(errorMessage);
-        } else {
-            // Unknown status - log it but try to continue polling
-            console.warn('⚠️  Unknown status:', result.status, '- will try polling again');
-            return this.pollForResult(messageId, attempt + 1);
+            return result.rows;
         }
+        
+        const rows = [];
+        let pageToken = null;
+        do {
+            const page = await this.callAPI('fetch-statement-page', {
+                statementId: result.statementId,
+                pageSize: GENIE_EXPORT_PAGE_SIZE,
+                pageToken
+            });
+            rows.push(...page.rows);
+            pageToken = page.page && page.page.nextPageToken;
+        } while (pageToken);
+        
+        return rows;
     }
     
     /**
-     * Display the result from Genie
-     * 
-     * GENIE RESPONSE STRUCTURE:
-     * The completed message contains "attachments" which include:
-     * - query: The generated SQL and execution results
-     * - text: Genie's natural language explanation
-     * 
-     * We extract the actual data from: attachments[0].query.query_result
-     * This contains:
-     * - data_array: The actual rows [[val1, val2], [val3, val4], ...]
-     * - schema.columns: Column names and types
-     * - row_count: Number of rows returned
-     */
-    async displayResult(result) {
-        console.log('🎨 Displaying result...');
-        console.log('📦 Full result object:', result);
-        
-        let hasData = false;
-        
-        // Check if there's a top-level query_result with statement_id (means query was executed)
-        if (result.query_result && result.query_result.statement_id) {
-            console.log('🔑 Found query_result at top level:', result.query_result);
-            console.log('🆔 Statement ID:', result.query_result.statement_id);
-            console.log('📊 Row count:', result.query_result.row_count);
-            
-            // Fetch the actual results using the statement ID
-            if (result.query_result.row_count > 0) {
-                console.log('📥 Fetching statement results...');
-                try {
-                    const statementResult = await this.callAPI('fetch-statement-result', {
-                        statementId: result.query_result.statement_id
-                    });
-                    
-                    console.log('✅ Statement result fetched:', statementResult);
-                    
-                    // Convert statement result to Genie format and render as table
-                    if (statementResult.result && statementResult.result.data_array) {
-                        const queryResult = {
-                            data_array: statementResult.result.data_array,
-                            schema: statementResult.manifest.schema,
-                            row_count: statementResult.result.row_count,
-                            truncated: statementResult.result.truncated || false
-                        };
-                        
-                        const tableHTML = this.renderDataTable(queryResult);
-                        this.addMessage('assistant', tableHTML);
-                        hasData = true;
-                    }
-                } catch (error) {
-                    console.error('❌ Failed to fetch statement results:', error);
-                    this.addMessage('assistant', `Query executed with ${result.query_result.row_count} rows but failed to fetch results: ${error.message}`);
-                }
+     * CSV (separator ',') or TSV (separator '\t') with a header row; NULLs become empty cells
+     * CSV quotes values when needed; TSV has no quoting, so tabs and newlines become spaces
+     * Both end up in spreadsheets, so text starting with = + - or @ gets a leading ' to keep
+     * it from running as a formula. Numbers in numeric columns (e.g. -3) are left alone.
+     */
+    toDelimited(columns, rows, separator) {
+        const format = (value, col) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            const isNumber = col && GENIE_NUMERIC_TYPES.includes(col.type) && text.trim() !== '' && Number.isFinite(Number(text));
+            if (/^[=+\-@]/.test(text) && !isNumber) {
+                text = `'${text}`;
+            }
+            if (separator === '\t') {
+                return text.replace(/[\t\r\n]+/g, ' ');
             }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        return [
+            columns.map(col => format(col.name)),
+            ...rows.map(row => row.map((value, i) => format(value, columns[i])))
+        ]
+            .map(cells => cells.join(separator))
+            .join('\r\n');
+    }
+    
+    /**
+     * JSON with the schema and one object per row; numeric columns become numbers
+     */
+    toJson(columns, rows) {
+        const convert = (value, col) => (value !== null && GENIE_NUMERIC_TYPES.includes(col.type) ? Number(value) : value);
+        
+        return JSON.stringify({
+            columns,
+            rows: rows.map(row => Object.fromEntries(columns.map((col, i) => [col.name, convert(row[i], col)])))
+        }, null, 2);
+    }
+    
+    /**
+     * Markdown table - numeric columns right-aligned
+     */
+    toMarkdownTable(columns, rows) {
+        const cell = value => (value === null ? 'NULL' : String(value)).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const line = cells => `| ${cells.join(' | ')} |`;
+        
+        return [
+            line(columns.map(col => cell(col.name))),
+            line(columns.map(col => (GENIE_NUMERIC_TYPES.includes(col.type) ? '---:' : '---'))),
+            ...rows.map(row => line(row.map(cell)))
+        ].join('\n');
+    }
+    
+    downloadFile(fileName, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Render paging controls under a result table
+     * Only results with a `page` (statement results with more rows) can be paged
+     */
+    renderPageControls(result) {
+        if (!result.page) {
+            return '';
         }
         
-        // Check if we have attachments
-        if (!result.attachments || result.attachments.length === 0) {
-            this.addMessage('assistant', 'Genie processed your query but returned no data.');
-            return;
+        const first = result.page.offset + 1;
+        const last = result.page.offset + result.rows.length;
+        const hasNext = Boolean(result.page.nextPageToken);
+        const hasPrev = Boolean(result.page.prevPageToken);
+        
+        return `
+            <div class="genie-page-controls">
+                <span class="genie-page-info">Rows ${this.escapeHtml(`${first.toLocaleString()}-${last.toLocaleString()} of ${Number(result.rowCount).toLocaleString()}`)}</span>
+                <div class="genie-page-buttons">
+                    <button class="genie-page-btn" data-action="page-prev" ${hasPrev ? '' : 'disabled'} aria-label="Previous page">‹ Prev</button>
+                    <button class="genie-page-btn" data-action="page-next" ${hasNext ? '' : 'disabled'} aria-label="Next page">Next ›</button>
+                    <button class="genie-page-btn" data-action="load-more" ${hasNext ? '' : 'disabled'}>Load more</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Load another page of a result table through the fetch-statement-page proxy action
+     * - page-prev / page-next replace the rows shown
+     * - load-more appends the next page to them
+     * - reload-rows fetches the first page again for a result whose rows were dropped from storage
+     */
+    async loadResultPage(message, messageDiv, action) {
+        const { result } = message;
+        let pageToken = null;
+        if (action === 'page-prev') {
+            pageToken = result.page.prevPageToken;
+        } else if (action !== 'reload-rows') {
+            pageToken = result.page.nextPageToken;
         }
         
-        console.log('📎 Number of attachments:', result.attachments.length);
+        messageDiv.querySelectorAll('.genie-page-btn').forEach(btn => { btn.disabled = true; });
+        console.log(`📄 Loading page (${action}) for statement ${result.statementId}`);
         
-        // Log all attachments to understand structure
-        result.attachments.forEach((att, i) => {
-            console.log(`📎 Attachment ${i}:`, att);
-        });
+        try {
+            const page = await this.callAPI('fetch-statement-page', {
+                statementId: result.statementId,
+                pageSize: GENIE_PAGE_SIZE,
+                pageToken
+            });
+            
+            if (action === 'load-more') {
+                result.rows = result.rows.concat(page.rows);
+                result.page.nextPageToken = page.page.nextPageToken;
+            } else if (action === 'reload-rows') {
+                result.rows = page.rows;
+                result.page = page.page.nextPageToken ? page.page : null;
+                delete result.evicted;
+            } else {
+                result.rows = page.rows;
+                result.page = page.page;
+            }
+            result.rowCount = page.rowCount;
+            
+            this.refreshMessage(message, messageDiv);
+            this.saveState();
+        } catch (error) {
+            console.error('❌ Failed to load page:', error);
+            this.refreshMessage(message, messageDiv);
+            this.showError(`Could not load more rows: ${error.message}`, false, error);
+        }
+    }
+    
+    /**
+     * Render the collapsible "View SQL" panel for a message with generated SQL
+     * Open by default when GENIE_SETTINGS.showSqlByDefault is set, until the user toggles it
+     */
+    renderSqlPanel(message) {
+        const open = message.sqlOpen ?? GENIE_SETTINGS.showSqlByDefault;
+        
+        return `
+            <details class="genie-sql"${open ? ' open' : ''}>
+                <summary data-action="toggle-sql">View SQL</summary>
+                <div class="genie-sql-body">
+                    <button class="genie-sql-copy" data-action="copy-sql" aria-label="Copy SQL to clipboard">Copy</button>
+                    <pre><code>${this.highlightSql(message.sql)}</code></pre>
+                </div>
+            </details>
+        `;
+    }
+    
+    /**
+     * Lightweight SQL highlighting: wraps keywords, functions, strings, numbers and
+     * comments in spans. Every token is escaped, so the SQL can't inject markup.
+     */
+    highlightSql(sql) {
+        let html = '';
+        let last = 0;
+        
+        for (const match of sql.matchAll(GENIE_SQL_TOKEN_PATTERN)) {
+            const [token, comment, string, number, func, word] = match;
+            html += this.escapeHtml(sql.slice(last, match.index));
+            last = match.index + token.length;
+            
+            let className = null;
+            if (comment) className = 'comment';
+            else if (string) className = 'string';
+            else if (number) className = 'number';
+            else if (func) className = GENIE_SQL_KEYWORDS.has(func.toUpperCase()) ? 'keyword' : 'function';
+            else if (word && GENIE_SQL_KEYWORDS.has(word.toUpperCase())) className = 'keyword';
+            
+            html += className
+                ? `<span class="sql-${className}">${this.escapeHtml(token)}</span>`
+                : this.escapeHtml(token);
+        }
         
-        let hasQuery = false;
+        return html + this.escapeHtml(sql.slice(last));
+    }
+    
+    /**
+     * Render Markdown from Genie's text answers as HTML
+     * 
+     * SUPPORTED:
+     * - headings (# to ######, shown from <h3> down so they stay smaller than the page headings)
+     * - paragraphs (single line breaks are kept), bullet and numbered lists, fenced code
+     * - GFM tables with column alignment
+     * - inline: **bold**, *italic*, ~~strikethrough~~, `code` and [links](https://...)
+     * 
+     * Everything else (including any HTML in the text) is escaped, and links are only
+     * rendered for GENIE_LINK_PROTOCOLS and relative URLs.
+     */
+    renderMarkdown(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        
+        const closeParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => this.renderInlineMarkdown(line.trim())).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
         
-        // Check each attachment for different content types
-        for (let i = 0; i < result.attachments.length; i++) {
-            const attachment = result.attachments[i];
-            console.log(`\n📎 Processing attachment ${i}:`);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
             
-            // Check for query with data (old format)
-            if (attachment.query && attachment.query.query_result) {
-                const queryResult = attachment.query.query_result;
-                console.log('📊 Found query result data!');
-                console.log('📏 Row count:', queryResult.row_count);
-                console.log('📋 Schema:', queryResult.schema);
-                console.log('📦 Data array length:', queryResult.data_array?.length);
-                
-                if (queryResult.data_array && queryResult.data_array.length > 0) {
-                    console.log('✅ Rendering data table with', queryResult.data_array.length, 'rows');
-                    const tableHTML = this.renderDataTable(queryResult);
-                    this.addMessage('assistant', tableHTML);
-                    hasData = true;
+            if (!line.trim()) {
+                closeParagraph();
+                continue;
+            }
+            
+            const fence = line.match(GENIE_MD_FENCE);
+            if (fence) {
+                closeParagraph();
+                const code = [];
+                while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
                 }
+                blocks.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
             }
             
-            // SQL query exists but we don't show it to users (they don't need to see technical details)
-            if (attachment.query && attachment.query.query) {
-                console.log('🔍 SQL query generated (not shown to user):', attachment.query.query);
-                hasQuery = true;
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                closeParagraph();
+                const level = Math.min(heading[1].length + 2, 6);
+                blocks.push(`<h${level}>${this.renderInlineMarkdown(heading[2])}</h${level}>`);
+                continue;
             }
             
-            // Check for text explanation
-            if (attachment.text && attachment.text.content) {
-                console.log('💬 Found text explanation');
-                this.addMessage('assistant', attachment.text.content);
+            if (line.includes('|') && i + 1 < lines.length && GENIE_MD_TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('|')) {
+                closeParagraph();
+                const rows = [];
+                let end = i + 2;
+                while (end < lines.length && lines[end].trim() && lines[end].includes('|')) {
+                    rows.push(lines[end]);
+                    end++;
+                }
+                blocks.push(this.renderMarkdownTable(line, lines[i + 1], rows));
+                i = end - 1;
+                continue;
             }
             
-            // Check for suggested questions
-            if (attachment.suggested_questions && attachment.suggested_questions.questions) {
-                console.log('💡 Found suggested questions:', attachment.suggested_questions.questions);
-                const questionsHTML = this.renderSuggestedQuestions(attachment.suggested_questions.questions);
-                this.addMessage('assistant', questionsHTML);
+            const item = line.match(GENIE_MD_LIST_ITEM);
+            if (item) {
+                closeParagraph();
+                const ordered = !item[1];
+                const items = [];
+                while (i < lines.length) {
+                    const next = lines[i].match(GENIE_MD_LIST_ITEM);
+                    if (next && !next[1] === ordered) {
+                        items.push(next[3]);
+                    } else if (next || !lines[i].trim() || !/^\s/.test(lines[i])) {
+                        break;
+                    } else {
+                        items[items.length - 1] += ` ${lines[i].trim()}`;   // indented continuation line
+                    }
+                    i++;
+                }
+                i--;
+                
+                const start = ordered && Number(item[2]) !== 1 ? ` start="${Number(item[2])}"` : '';
+                const tag = ordered ? 'ol' : 'ul';
+                blocks.push(`<${tag}${start}>${items.map(text => `<li>${this.renderInlineMarkdown(text)}</li>`).join('')}</${tag}>`);
+                continue;
             }
+            
+            paragraph.push(line);
         }
+        closeParagraph();
         
-        // Log if neither data nor text was found
-        if (!hasData && !result.attachments.some(a => a.text)) {
-            console.warn('⚠️  No data or text explanation found in any attachment');
-            this.addMessage('assistant', 'Query completed but Genie returned no displayable results. Try rephrasing your question.');
+        return blocks.join('');
+    }
+    
+    /**
+     * Render a GFM table from its header line, separator line and body lines
+     */
+    renderMarkdownTable(header, separator, rows) {
+        const splitRow = line => line.trim()
+            .replace(/^\|/, '')
+            .replace(/(?<!\\)\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+        
+        const headers = splitRow(header);
+        const aligns = splitRow(separator).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+        const cell = (tag, text, i) =>
+            `<${tag}${aligns[i] ? ` style="text-align: ${aligns[i]}"` : ''}>${this.renderInlineMarkdown(text || '')}</${tag}>`;
+        
+        return `
+            <div class="genie-md-table">
+                <table>
+                    <thead><tr>${headers.map((text, i) => cell('th', text, i)).join('')}</tr></thead>
+                    <tbody>${rows.map(row => {
+                        const cells = splitRow(row);
+                        return `<tr>${headers.map((_, i) => cell('td', cells[i], i)).join('')}</tr>`;
+                    }).join('')}</tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render inline Markdown: code spans and links are cut out first, the rest is
+     * escaped and only then given emphasis, so no markup from the text survives
+     */
+    renderInlineMarkdown(text) {
+        const pattern = /(`+)([\s\S]*?[^`])\1(?!`)|\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))*)>?(?:\s+"[^"]*")?\s*\)/g;
+        let html = '';
+        let last = 0;
+        
+        for (const match of text.matchAll(pattern)) {
+            const [token, , code, label, url] = match;
+            html += this.renderEmphasis(text.slice(last, match.index));
+            last = match.index + token.length;
+            
+            if (code !== undefined) {
+                html += `<code>${this.escapeHtml(code.trim() || code)}</code>`;
+                continue;
+            }
+            
+            const href = this.getSafeLinkUrl(url);
+            if (!href) {
+                html += this.renderEmphasis(label);
+                continue;
+            }
+            const external = /^(https?:)?\/\//i.test(href);
+            html += `<a href="${this.escapeAttribute(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${this.renderEmphasis(label)}</a>`;
         }
         
-        this.scrollToBottom();
+        return html + this.renderEmphasis(text.slice(last));
+    }
+    
+    renderEmphasis(text) {
+        return this.escapeHtml(text)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
     }
     
     /**
-     * Render query result as HTML table
-     * 
-     * INPUT FORMAT (from Genie):
-     * {
-     *   "data_array": [
-     *     ["Lewis Hamilton", 103],
-     *     ["Michael Schumacher", 91],
-     *     ["Sebastian Vettel", 53]
-     *   ],
-     *   "schema": {
-     *     "columns": [
-     *       {"name": "driver", "type": "STRING"},
-     *       {"name": "wins", "type": "LONG"}
-     *     ]
-     *   },
-     *   "row_count": 25,
-     *   "truncated": false
-     * }
-     * 
-     * OUTPUT: HTML table with F1 styling
+     * Return a link target if it is relative or uses one of GENIE_LINK_PROTOCOLS, otherwise null
+     * Control characters and spaces are removed first, as browsers ignore them in "java script:"
      */
-    renderDataTable(queryResult) {
-        const { data_array, schema, row_count } = queryResult;
+    getSafeLinkUrl(url) {
+        const cleaned = String(url || '').replace(/[\u0000- \u007f]/g, '');
+        if (!cleaned) return null;
         
-        // Handle empty results
-        if (!data_array || data_array.length === 0) {
-            return '<p style="color: var(--medium-gray); font-style: italic;">No data found for this query.</p>';
+        const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !GENIE_LINK_PROTOCOLS.includes(`${scheme[1].toLowerCase()}:`)) {
+            return null;
+        }
+        return cleaned;
+    }
+    
+    /**
+     * Copy a message's SQL to the clipboard
+     */
+    async copySql(message, button) {
+        try {
+            await this.copyToClipboard(message.sql);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.error('❌ Failed to copy SQL:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy'; }, 2000);
+    }
+    
+    /**
+     * Put text on the clipboard
+     * Falls back to a hidden textarea where the Clipboard API isn't available (e.g. plain http)
+     */
+    async copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
         }
         
-        console.log('🎨 Rendering table with', data_array.length, 'rows and', schema.columns.length, 'columns');
-        
-        let html = '<div class="genie-table-wrapper"><table class="genie-results-table">';
-        
-        // Table Header
-        html += '<thead><tr>';
-        schema.columns.forEach(col => {
-            html += `<th>${this.escapeHtml(col.name)}</th>`;
-        });
-        html += '</tr></thead>';
-        
-        // Table Body
-        html += '<tbody>';
-        data_array.forEach((row, rowIndex) => {
-            html += '<tr>';
-            row.forEach((cell, colIndex) => {
-                const colType = schema.columns[colIndex].type;
-                const isNumeric = ['LONG', 'INT', 'DOUBLE', 'FLOAT', 'DECIMAL'].includes(colType);
-                const className = isNumeric ? 'numeric' : '';
-                const displayValue = cell === null ? 'NULL' : String(cell);
-                html += `<td class="${className}">${this.escapeHtml(displayValue)}</td>`;
-            });
-            html += '</tr>';
-        });
-        html += '</tbody>';
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'absolute';
+        textarea.style.left = '-9999px';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) {
+            throw new Error('Clipboard is not available');
+        }
+    }
+    
+    /**
+     * Render thumbs up/down controls for an answer
+     * feedback: { conversationId, messageId, rating: 'POSITIVE' | 'NEGATIVE' | null }
+     */
+    renderFeedbackControls(feedback) {
+        const button = (rating, icon, label) => `
+            <button class="genie-feedback-btn${feedback.rating === rating ? ' active' : ''}" data-action="feedback"
+                data-rating="${rating}" aria-pressed="${feedback.rating === rating}" aria-label="${label}" title="${label}">${icon}</button>`;
+        
+        return `
+            <div class="genie-feedback" role="group" aria-label="Rate this answer">
+                ${button('POSITIVE', '👍', 'Good answer')}
+                ${button('NEGATIVE', '👎', 'Wrong answer')}
+                ${feedback.rating ? '<span class="genie-feedback-thanks">Thanks for the feedback!</span>' : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Send a thumbs up/down for an answer to Genie through the send-feedback proxy action
+     * Clicking the active rating again takes it back (NONE). The rating is shown right away
+     * and reverted if Genie doesn't accept it.
+     */
+    async rateAnswer(message, rating) {
+        const previous = message.feedback.rating;
+        const next = previous === rating ? null : rating;
+        console.log(`👍 Rating answer ${message.feedback.messageId}: ${next || 'NONE'}`);
         
-        html += '</table></div>';
+        this.updateMessage(message, { feedback: { ...message.feedback, rating: next } });
         
-        // Show row count if truncated
-        if (queryResult.truncated) {
-            html += `<p style="color: var(--gold); font-size: 0.85rem; margin-top: 5px;">Showing first ${data_array.length} of ${row_count} rows</p>`;
+        try {
+            await this.callAPI('send-feedback', {
+                conversationId: message.feedback.conversationId,
+                messageId: message.feedback.messageId,
+                rating: next || 'NONE'
+            });
+        } catch (error) {
+            console.error('❌ Failed to send feedback:', error);
+            this.updateMessage(message, { feedback: { ...message.feedback, rating: previous } });
+            this.showError(`Could not send feedback: ${error.message}`, false, error);
         }
-        
-        return html;
     }
     
     /**
      * Render suggested questions as clickable links
      * 
-     * INPUT: Array of question strings from Genie
+     * INPUT: Array of question strings from Genie, and the list's heading (HTML)
      * OUTPUT: HTML list with clickable questions
      */
-    renderSuggestedQuestions(questions) {
+    renderSuggestedQuestions(questions, heading = '💡 Related questions:') {
         if (!questions || questions.length === 0) {
             return '';
         }
         
         let html = '<div class="genie-suggested-questions">';
-        html += '<p><strong>💡 Related questions:</strong></p>';
+        html += `<p><strong>${heading}</strong></p>`;
         html += '<ul>';
         questions.forEach(q => {
             // Make questions clickable to auto-fill input
-            const escapedQ = this.escapeHtml(q);
-            html += `<li><a href="#" class="suggested-question" data-question="${escapedQ}">${escapedQ}</a></li>`;
+            html += `<li><a href="#" class="suggested-question" data-action="ask-suggestion" data-question="${this.escapeAttribute(q)}">${this.escapeHtml(q)}</a></li>`;
         });
         html += '</ul>';
         html += '</div>';
@@ -873,8 +3061,9 @@ class GenieChat {
     /**
      * Call the Azure Function API
      * This is the secure proxy that talks to Databricks
+     * options.signal (an AbortSignal) lets the Stop button abort the request
      */
-    async callAPI(action, params = {}) {
+    async callAPI(action, params = {}, options = {}) {
         console.log(`🌐 API Call: ${action}`, params);
         
         try {
@@ -886,7 +3075,8 @@ class GenieChat {
                 body: JSON.stringify({
                     action,
                     ...params
-                })
+                }),
+                signal: options.signal   // aborted by the Stop button (see stopQuestion)
             });
             
             // Check if response is OK
@@ -897,7 +3087,10 @@ class GenieChat {
                 const contentType = response.headers.get('content-type');
                 if (contentType && contentType.includes('application/json')) {
                     const errorData = await response.json();
-                    throw new Error(errorData.error || `Server error: ${response.status}`);
+                    const error = new Error(errorData.error || `Server error: ${response.status}`);
+                    error.type = errorData.type;                 // e.g. 'unavailable' while the proxy's circuit is open
+                    error.retryAfterMs = errorData.retryAfterMs;
+                    throw error;
                 } else {
                     // Response is HTML or plain text (like Azure's 503 page)
                     const text = await response.text();
@@ -934,24 +3127,29 @@ class GenieChat {
     
     /**
      * Add a message to the chat UI
+     * 
+     * Messages are stored as typed records and only ever rendered from their data,
+     * never from stored HTML (see fillMessageElement):
+     * - { type: 'text', text }                    user questions, Genie's explanations, notices
+     * - { type: 'table', result }                 query results (columns, rows, paging)
+     * - { type: 'suggestions', questions }        related questions
+     * - { type: 'error', error, canRetry }        failed questions and actions
+     * Any record can also carry sql, feedback and view state added by updateMessage.
+     * Returns the stored message record.
      */
-    addMessage(role, content) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `genie-message ${role}`;
-        
-        // If content contains HTML (like tables), insert it directly
-        if (content.includes('<')) {
-            messageDiv.innerHTML = content;
-        } else {
-            messageDiv.textContent = content;
+    addMessage(role, record) {
+        const message = { id: this.createMessageId(), role, timestamp: Date.now(), ...record };
+        
+        // Track the conversation's last activity; its first question becomes the title
+        const conversation = this.getActiveConversation();
+        if (conversation) {
+            conversation.updatedAt = message.timestamp;
+            if (role === 'user' && !conversation.title && message.text) {
+                conversation.title = this.createConversationTitle(message.text);
+            }
         }
         
-        // Add timestamp
-        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        const timeSpan = document.createElement('span');
-        timeSpan.className = 'genie-message-time';
-        timeSpan.textContent = time;
-        messageDiv.appendChild(timeSpan);
+        const messageDiv = this.createMessageElement(message);
         
         // Remove welcome message if this is the first real message
         const welcome = document.querySelector('.genie-welcome');
@@ -961,16 +3159,208 @@ class GenieChat {
         
         this.elements.messages.appendChild(messageDiv);
         
-        // Attach handlers to any suggested questions in this message
-        if (content.includes('suggested-question')) {
-            this.attachSuggestedQuestionHandlers();
+        // Store in messages array
+        this.messages.push(message);
+        this.saveState();
+        return message;
+    }
+    
+    /**
+     * Create the element for a message record (new or restored from storage)
+     */
+    createMessageElement(message) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = message.type === 'error' ? 'genie-error' : `genie-message ${message.role}`;
+        messageDiv.dataset.messageId = message.id;
+        this.fillMessageElement(messageDiv, message);
+        
+        // Add timestamp
+        const timeSpan = document.createElement('span');
+        timeSpan.className = 'genie-message-time';
+        timeSpan.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        messageDiv.appendChild(timeSpan);
+        
+        return messageDiv;
+    }
+    
+    /**
+     * Render a message record into its element
+     * Every renderer escapes the data it inserts; questions go in through textContent and
+     * Genie's text answers through the Markdown renderer
+     */
+    fillMessageElement(messageDiv, message) {
+        switch (message.type) {
+            case 'table':
+                messageDiv.innerHTML = this.renderResult(message);
+                break;
+            case 'suggestions':
+                messageDiv.innerHTML = this.renderSuggestedQuestions(message.questions);
+                break;
+            case 'error':
+                messageDiv.innerHTML = `
+                    <p><strong>Error:</strong> ${this.escapeHtml(message.error)}</p>
+                    ${message.canRetry ? '<button class="genie-retry-btn" data-action="retry">Retry</button>' : ''}
+                `;
+                break;
+            default:
+                if (message.role === 'assistant') {
+                    messageDiv.innerHTML = `<div class="genie-markdown">${this.renderMarkdown(message.text)}</div>`;
+                } else {
+                    messageDiv.textContent = message.text;
+                    messageDiv.insertAdjacentHTML('beforeend', '<button class="genie-copy-link" data-action="copy-link" aria-label="Copy a link that asks this question">🔗 Copy link</button>');
+                }
+        }
+        
+        if (message.cancelled) {
+            messageDiv.insertAdjacentHTML('beforeend', '<span class="genie-cancelled-badge">Cancelled</span>');
         }
         
-        // Store in messages array
-        this.messages.push({ role, content, timestamp: Date.now() });
+        if (message.sql) {
+            messageDiv.insertAdjacentHTML('beforeend', this.renderSqlPanel(message));
+        }
+        
+        if (message.feedback) {
+            messageDiv.insertAdjacentHTML('beforeend', this.renderFeedbackControls(message.feedback));
+        }
+    }
+    
+    /**
+     * Re-render a message after its record changed, keeping its timestamp
+     */
+    refreshMessage(message, messageDiv) {
+        const timeSpan = messageDiv.querySelector('.genie-message-time');
+        this.fillMessageElement(messageDiv, message);
+        if (timeSpan) {
+            messageDiv.appendChild(timeSpan);
+        }
+    }
+    
+    /**
+     * Change a stored message, re-render it and save
+     */
+    updateMessage(message, changes) {
+        Object.assign(message, changes);
+        const messageDiv = this.elements.messages.querySelector(`[data-message-id="${message.id}"]`);
+        if (messageDiv) {
+            this.refreshMessage(message, messageDiv);
+        }
+        this.saveState();
+    }
+    
+    createMessageId() {
+        return `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+    
+    /**
+     * Handle clicks on buttons inside messages (delegated from the messages container)
+     * Buttons carry data-action; the message record is found through data-message-id
+     */
+    handleMessageAction(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button || button.disabled) {
+            return;
+        }
+        
+        const messageDiv = button.closest('[data-message-id]');
+        const message = messageDiv && this.messages.find(m => m.id === messageDiv.dataset.messageId);
+        if (!message) {
+            return;
+        }
+        
+        switch (button.dataset.action) {
+            case 'ask-suggestion':
+                event.preventDefault();
+                if (!this.isLoading && !this.isOffline) {
+                    this.elements.input.value = button.dataset.question;
+                    this.handleSend(); // Auto-submit the question
+                }
+                break;
+            case 'retry':
+                this.retryMessage(message);
+                break;
+            case 'page-prev':
+            case 'page-next':
+            case 'load-more':
+            case 'reload-rows':
+                this.loadResultPage(message, messageDiv, button.dataset.action);
+                break;
+            case 'refresh-result':
+                this.refreshResult(message, button);
+                break;
+            case 'feedback':
+                this.rateAnswer(message, button.dataset.rating);
+                break;
+            case 'show-table':
+            case 'show-chart':
+                this.updateMessage(message, { display: button.dataset.action === 'show-chart' ? 'chart' : 'table' });
+                break;
+            case 'sort-table':
+                this.sortTable(message, messageDiv, Number(button.dataset.column));
+                break;
+            case 'toggle-column':
+                this.toggleTableColumn(message, messageDiv, button);
+                break;
+            case 'toggle-sql':
+                // Runs before the <details> toggles itself - remember the state it is about to get
+                message.sqlOpen = !button.closest('details').open;
+                this.saveState();
+                break;
+            case 'copy-sql':
+                this.copySql(message, button);
+                break;
+            case 'copy-link':
+                this.copyQuestionLink(message, button);
+                break;
+            case 'export':
+                this.exportResult(message, button.dataset.format, button);
+                break;
+            case 'drill-down':
+                this.showDrillDown(message, messageDiv, button);
+                break;
+            case 'close-drill-down':
+                button.closest('.genie-drill-down').remove();
+                break;
+        }
+    }
+    
+    /**
+     * Retry button on an error: remove the error and ask the question before it again
+     */
+    retryMessage(errorMessage) {
+        const index = this.messages.indexOf(errorMessage);
+        const question = this.messages.slice(0, index).reverse().find(m => m.role === 'user' && m.type === 'text');
+        
+        this.removeMessage(errorMessage);
+        const query = question ? question.text : this.lastQuery;
+        if (query && !this.isLoading) {
+            this.sendMessage(query);
+        }
+    }
+    
+    /**
+     * Remove a message from the UI and from saved state
+     */
+    removeMessage(message) {
+        const messageDiv = this.elements.messages.querySelector(`[data-message-id="${message.id}"]`);
+        if (messageDiv) {
+            messageDiv.remove();
+        }
+        this.messages = this.messages.filter(m => m !== message);
         this.saveState();
     }
     
+    /**
+     * Handle typing in inputs inside messages (the result table quick filter)
+     */
+    handleMessageInput(event) {
+        const input = event.target.closest('[data-action="filter-table"]');
+        const messageDiv = input && input.closest('[data-message-id]');
+        const message = messageDiv && this.messages.find(m => m.id === messageDiv.dataset.messageId);
+        if (message) {
+            this.updateTableView(message, messageDiv, { filter: input.value }, false);
+        }
+    }
+    
     /**
      * Show typing indicator (animated dots)
      */
@@ -993,17 +3383,101 @@ class GenieChat {
         }
     }
     
+    /**
+     * Show the live progress bubble used while Genie works on a question
+     * Steps (GENIE_PROGRESS_STEPS) follow the statuses passed to setLiveStatus; the elapsed
+     * time ticks every second until removeLiveMessage
+     */
+    showLiveMessage() {
+        const live = document.createElement('div');
+        live.className = 'genie-message assistant genie-live';
+        live.innerHTML = `
+            <div class="genie-live-status">
+                <span class="genie-typing-dots"><span></span><span></span><span></span></span>
+                <span class="genie-live-label"></span>
+                <span class="genie-live-elapsed" aria-label="Elapsed time">0s</span>
+            </div>
+            <ol class="genie-steps">
+                ${GENIE_PROGRESS_STEPS.map(step => `<li class="genie-step">${this.escapeHtml(step.label)}</li>`).join('')}
+            </ol>
+            <p class="genie-live-hint" hidden>${this.escapeHtml(GENIE_WAREHOUSE_HINT)}</p>
+            <p class="genie-live-detail"></p>
+        `;
+        this.updateLiveMessage(live, 'Sending your question to Genie...');
+        
+        const started = Date.now();
+        live.timer = setInterval(() => {
+            live.querySelector('.genie-live-elapsed').textContent = this.formatElapsed(Date.now() - started);
+        }, 1000);
+        
+        this.elements.messages.appendChild(live);
+        this.scrollToBottom();
+        return live;
+    }
+    
+    /**
+     * Move the live bubble to a Genie status: label, finished/current steps and the warehouse hint
+     * Steps Genie skipped (e.g. a warehouse that was already running) count as finished
+     */
+    setLiveStatus(live, status) {
+        this.updateLiveMessage(live, GENIE_STATUS_LABELS[status] || `Genie status: ${status}`);
+        
+        const current = GENIE_PROGRESS_STEPS.findIndex(step => step.statuses.includes(status));
+        if (current !== -1) {
+            live.querySelectorAll('.genie-step').forEach((item, index) => {
+                item.classList.toggle('done', index < current);
+                item.classList.toggle('active', index === current);
+                if (index === current) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            });
+        }
+        
+        live.querySelector('.genie-live-hint').hidden = status !== 'PENDING_WAREHOUSE';
+    }
+    
+    removeLiveMessage(live) {
+        clearInterval(live.timer);
+        live.remove();
+    }
+    
+    formatElapsed(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+    
+    /**
+     * Update the live bubble's status line and/or detail line (null keeps the current text)
+     */
+    updateLiveMessage(live, label, detail = null) {
+        if (label !== null) {
+            live.querySelector('.genie-live-label').textContent = label;
+        }
+        if (detail !== null) {
+            live.querySelector('.genie-live-detail').textContent = detail;
+        }
+        this.scrollToBottom();
+    }
+    
     /**
      * Show error message with retry button
+     * `details` is the thrown error - its `type` comes from the proxy (see callAPI)
      */
-    showError(message, canRetry = true) {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'genie-error';
+    showError(message, canRetry = true, details = {}) {
+        // Databricks is down: switch the whole chat into offline mode instead
+        if (details.type === 'unavailable') {
+            this.setOffline(true, details.retryAfterMs);
+            return;
+        }
         
         // User-friendly error messages
         let displayMessage = message;
         if (message.includes('401') || message.includes('403')) {
             displayMessage = 'Authentication failed. Please check your Databricks credentials.';
+        } else if (message.includes('Conversation expired')) {
+            displayMessage = 'Genie could not continue this conversation. Please try again.';
         } else if (message.includes('429')) {
             displayMessage = 'Too many requests. Please wait a moment and try again.';
         } else if (message.includes('timeout')) {
@@ -1016,22 +3490,70 @@ class GenieChat {
             displayMessage = 'SQL execution error: The query failed to run. This may be due to data access permissions or missing tables in your workspace.';
         }
         
-        errorDiv.innerHTML = `
-            <p><strong>Error:</strong> ${this.escapeHtml(displayMessage)}</p>
-            ${canRetry ? `<button class="genie-retry-btn">Retry</button>` : ''}
-        `;
-        
-        if (canRetry) {
-            errorDiv.querySelector('.genie-retry-btn').addEventListener('click', () => {
-                errorDiv.remove();
-                if (this.lastQuery) {
-                    this.sendMessage(this.lastQuery);
-                }
-            });
+        this.addMessage('assistant', { type: 'error', error: displayMessage, canRetry });
+        this.scrollToBottom();
+    }
+    
+    /**
+     * OFFLINE MODE: Databricks is unavailable and the proxy fails fast (circuit breaker open)
+     * 
+     * Shows an offline banner, disables the send button and checks the proxy health
+     * endpoint (GET /api/genie) until it reports the circuit closed or half-open again.
+     */
+    setOffline(offline, retryAfterMs = 30000) {
+        clearTimeout(this.healthCheckTimer);
+        const wasOffline = this.isOffline;
+        this.isOffline = offline;
+        this.elements.panel.classList.toggle('offline', offline);
+        
+        let banner = this.elements.panel.querySelector('.genie-offline-banner');
+        
+        if (offline) {
+            console.warn(`🔌 Genie offline, checking again in ${retryAfterMs}ms`);
+            if (!banner) {
+                banner = document.createElement('div');
+                banner.className = 'genie-offline-banner';
+                banner.setAttribute('role', 'status');
+                banner.innerHTML = `
+                    <strong>🔌 Genie is temporarily offline</strong>
+                    <span>The F1 data service isn't responding. Chat will be back automatically when it recovers.</span>
+                `;
+                this.elements.messages.before(banner);
+            }
+            this.elements.sendBtn.disabled = true;
+            this.healthCheckTimer = setTimeout(() => this.checkHealth(), Math.max(retryAfterMs || 0, 5000));
+            return;
         }
         
-        this.elements.messages.appendChild(errorDiv);
-        this.scrollToBottom();
+        if (banner) {
+            banner.remove();
+        }
+        this.elements.sendBtn.disabled = this.elements.input.value.trim().length < 5 || this.isLoading;
+        if (wasOffline) {
+            console.log('🔌 Genie back online');
+            this.addMessage('assistant', { type: 'text', text: 'Genie is back online - you can ask your question again.' });
+            this.scrollToBottom();
+        }
+    }
+    
+    /**
+     * Ask the proxy whether Databricks is reachable again (used while offline)
+     */
+    async checkHealth() {
+        try {
+            const response = await fetch('/api/genie', { method: 'GET' });
+            const health = await response.json();
+            console.log('🩺 Genie health:', health.upstream);
+            
+            if (health.upstream && health.upstream.state === 'open') {
+                this.setOffline(true, health.upstream.retryAfterMs);
+            } else {
+                this.setOffline(false);
+            }
+        } catch (error) {
+            console.warn('🩺 Health check failed:', error.message);
+            this.setOffline(true);
+        }
     }
     
     /**
@@ -1042,71 +3564,181 @@ class GenieChat {
     }
     
     /**
-     * Save conversation state to localStorage
+     * Save chat history through this.storage
+     * The active conversation's working copy (conversationId, messages) is written back first.
+     * Only `conversation` (the active one by default) and conversations whose old results were
+     * dropped to stay under the storage budget are written.
      */
-    saveState() {
-        const state = {
-            conversationId: this.conversationId,
-            messages: this.messages.slice(-20) // Keep last 20 messages
-        };
-        localStorage.setItem('GENIE_CHAT_STATE', JSON.stringify(state));
-        console.log('💾 State saved to localStorage');
+    saveState(conversation = this.getActiveConversation()) {
+        const active = this.getActiveConversation();
+        if (active) {
+            active.conversationId = this.conversationId;
+            active.messages = this.messages;
+        }
+        
+        const changed = conversation ? [conversation] : [];
+        changed.forEach(c => this.conversationSizes.set(c.id, this.storage.measure(c)));
+        this.evictOldResults().forEach(c => {
+            if (!changed.includes(c)) changed.push(c);
+        });
+        
+        this.storage.save({ activeId: this.activeId, conversations: this.conversations }, changed)
+            .then(() => console.log(`💾 State saved to ${this.storage.backend}`))
+            .catch(error => this.handleStorageError(error, changed));
+        this.renderConversationList();
     }
     
     /**
-     * Load conversation state from localStorage
+     * Drop the rows of the oldest results until saved history fits in `budget` bytes
+     * Questions, answer text, SQL and result columns stay; the newest result is never dropped.
+     * Returns the conversations that changed.
      */
-    loadState() {
-        try {
-            const saved = localStorage.getItem('GENIE_CHAT_STATE');
-            if (saved) {
-                const state = JSON.parse(saved);
-                this.conversationId = state.conversationId;
-                this.messages = state.messages || [];
-                
-                // Restore messages to UI (but keep welcome message if no messages)
-                if (this.messages.length > 0) {
-                    const welcome = document.querySelector('.genie-welcome');
-                    if (welcome) welcome.remove();
-                    
-                    this.messages.forEach(msg => {
-                        const messageDiv = document.createElement('div');
-                        messageDiv.className = `genie-message ${msg.role}`;
-                        if (msg.content.includes('<')) {
-                            messageDiv.innerHTML = msg.content;
-                        } else {
-                            messageDiv.textContent = msg.content;
-                        }
-                        this.elements.messages.appendChild(messageDiv);
-                    });
-                    
-                    // Re-attach event listeners to suggested questions
-                    this.attachSuggestedQuestionHandlers();
+    evictOldResults(budget = this.storage.budget) {
+        let usage = this.getStorageUsage();
+        if (usage <= budget) {
+            return [];
+        }
+        
+        const results = [];
+        this.conversations.forEach(conversation => {
+            conversation.messages.forEach(message => {
+                if (message.type === 'table' && message.result.rows.length > 0) {
+                    results.push({ conversation, message });
                 }
-                
-                console.log('📂 State loaded from localStorage');
+            });
+        });
+        results.sort((a, b) => a.message.timestamp - b.message.timestamp);
+        results.pop();
+        
+        const changed = [];
+        for (const { conversation, message } of results) {
+            if (usage <= budget) break;
+            
+            usage -= JSON.stringify(message.result.rows).length;
+            const { page, ...result } = message.result;
+            message.result = { ...result, rows: [], evicted: true };
+            if (!changed.includes(conversation)) changed.push(conversation);
+            
+            const messageDiv = this.elements.messages.querySelector(`[data-message-id="${message.id}"]`);
+            if (messageDiv) {
+                this.refreshMessage(message, messageDiv);
             }
+        }
+        
+        changed.forEach(c => this.conversationSizes.set(c.id, this.storage.measure(c)));
+        console.log(`🧹 Dropped old result rows from ${changed.length} conversation(s) to stay under ${this.formatBytes(budget)}`);
+        return changed;
+    }
+    
+    getStorageUsage() {
+        this.storageUsage = 0;
+        this.conversationSizes.forEach(size => { this.storageUsage += size; });
+        return this.storageUsage;
+    }
+    
+    /**
+     * A save failed - when the browser is out of space, drop more old results and try once more
+     */
+    handleStorageError(error, changed) {
+        console.error('❌ Failed to save chat history:', error);
+        if (!error || error.name !== 'QuotaExceededError' || this.isRetryingSave) {
+            return;
+        }
+        
+        this.isRetryingSave = true;
+        const evicted = this.evictOldResults(this.getStorageUsage() / 2);
+        this.storage.save({ activeId: this.activeId, conversations: this.conversations }, [...new Set([...changed, ...evicted])])
+            .then(() => console.log('💾 State saved after dropping old results'))
+            .catch(retryError => console.error('❌ Chat history could not be saved:', retryError))
+            .finally(() => {
+                this.isRetryingSave = false;
+                this.renderConversationList();
+            });
+    }
+    
+    /**
+     * Show how much of the storage budget saved history uses (under the conversation list)
+     */
+    renderStorageUsage() {
+        if (!this.elements.storageUsage) return;
+        
+        const usage = this.getStorageUsage();
+        const budget = this.storage.budget;
+        const where = this.storage.backend === 'indexedDB'
+            ? 'Saved in this browser'
+            : `Saved in this browser (last ${GENIE_MESSAGES_PER_CONVERSATION} messages per conversation)`;
+        
+        this.elements.storageUsage.innerHTML = `
+            <meter min="0" max="${budget}" high="${budget * 0.8}" value="${Math.min(usage, budget)}" aria-label="Chat history storage used"></meter>
+            <span>${where}: ${this.formatBytes(usage)} of ${this.formatBytes(budget)}</span>
+        `;
+    }
+    
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    /**
+     * Load saved conversations through this.storage (IndexedDB, or localStorage as a fallback)
+     */
+    async loadState() {
+        try {
+            await this.storage.open();
+            const state = await this.storage.load();
+            
+            this.conversations = state.conversations
+                .map(conversation => this.migrateConversation(conversation))
+                .filter(Boolean)
+                .sort((a, b) => a.createdAt - b.createdAt);
+            this.activeId = state.activeId;
+            
+            console.log(`📂 State loaded from ${this.storage.backend}`);
         } catch (error) {
             console.error('Failed to load state:', error);
         }
+        
+        if (this.conversations.length === 0) {
+            this.conversations.push(this.createConversation());
+        }
+        
+        const active = this.getActiveConversation() || this.conversations[this.conversations.length - 1];
+        this.activeId = active.id;
+        this.conversationId = active.conversationId;
+        this.messages = active.messages;
+        
+        // Copy history saved by older versions into IndexedDB, and trim it if it is over budget
+        this.conversations.forEach(c => this.conversationSizes.set(c.id, this.storage.measure(c)));
+        if (this.storage.importingLegacy || this.getStorageUsage() > this.storage.budget) {
+            this.saveState();
+        }
     }
     
     /**
-     * Attach click handlers to suggested question links
-     * Call this after adding suggested questions to the DOM
+     * Check a saved conversation and its messages, or return null to drop it
      */
-    attachSuggestedQuestionHandlers() {
-        const questionLinks = this.elements.messages.querySelectorAll('.suggested-question');
-        questionLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const question = link.getAttribute('data-question');
-                if (question && !this.isLoading) {
-                    this.elements.input.value = question;
-                    this.handleSend(); // Auto-submit the question
-                }
-            });
-        });
+    migrateConversation(conversation) {
+        if (!conversation || typeof conversation !== 'object') {
+            return null;
+        }
+        
+        const messages = (Array.isArray(conversation.messages) ? conversation.messages : [])
+            .map(msg => this.migrateMessage(msg))
+            .filter(Boolean);
+        const firstQuestion = messages.find(msg => msg.role === 'user' && msg.text);
+        const created = Number(conversation.createdAt) || (messages[0] && messages[0].timestamp) || Date.now();
+        
+        return {
+            id: typeof conversation.id === 'string' && conversation.id ? conversation.id : this.createConversation().id,
+            title: typeof conversation.title === 'string' && conversation.title
+                ? conversation.title
+                : (firstQuestion ? this.createConversationTitle(firstQuestion.text) : ''),
+            conversationId: typeof conversation.conversationId === 'string' ? conversation.conversationId : null,
+            messages,
+            createdAt: created,
+            updatedAt: Number(conversation.updatedAt) || (messages.length ? messages[messages.length - 1].timestamp : created)
+        };
     }
     
     /**
@@ -1117,6 +3749,183 @@ class GenieChat {
         div.textContent = text;
         return div.innerHTML;
     }
+    
+    /**
+     * Turn a saved message into a typed record, or null to drop it
+     * 
+     * Older versions saved rendered HTML in `content`. That HTML is only parsed with
+     * DOMParser (which never runs scripts or loads anything) to pull the data back out:
+     * suggested questions, result tables, or plain text. Typed records are checked
+     * too, since localStorage can be edited by hand.
+     */
+    migrateMessage(msg) {
+        if (!msg || typeof msg !== 'object' || !['user', 'assistant'].includes(msg.role)) {
+            return null;
+        }
+        
+        // Only the fields the chat knows, each with the type the renderers expect
+        const base = {
+            id: typeof msg.id === 'string' ? msg.id : this.createMessageId(),  // saved before messages had IDs
+            role: msg.role,
+            timestamp: Number(msg.timestamp) || Date.now()
+        };
+        if (typeof msg.sql === 'string') {
+            base.sql = msg.sql;
+        }
+        if (typeof msg.sqlOpen === 'boolean') {
+            base.sqlOpen = msg.sqlOpen;
+        }
+        if (msg.cancelled === true) {
+            base.cancelled = true;
+        }
+        if (['chart', 'table'].includes(msg.display)) {
+            base.display = msg.display;
+        }
+        const feedback = this.migrateFeedback(msg.feedback);
+        if (feedback) {
+            base.feedback = feedback;
+        }
+        const tableView = this.migrateTableView(msg.table);
+        if (tableView) {
+            base.table = tableView;
+        }
+        
+        if (msg.type) {
+            switch (msg.type) {
+                case 'table': {
+                    const result = this.migrateResult(msg.result);
+                    return result ? { ...base, type: 'table', result } : null;
+                }
+                case 'text':
+                    return typeof msg.text === 'string' ? { ...base, type: 'text', text: msg.text } : null;
+                case 'suggestions':
+                    return Array.isArray(msg.questions) && msg.questions.every(q => typeof q === 'string')
+                        ? { ...base, type: 'suggestions', questions: msg.questions }
+                        : null;
+                case 'error':
+                    return typeof msg.error === 'string'
+                        ? { ...base, type: 'error', error: msg.error, canRetry: msg.canRetry === true }
+                        : null;
+                default:
+                    return null;
+            }
+        }
+        
+        // Legacy records
+        if (msg.result) {
+            const result = this.migrateResult(msg.result);
+            return result ? { ...base, type: 'table', result } : null;
+        }
+        
+        const content = String(msg.content || '');
+        if (!content.includes('<')) {
+            return { ...base, type: 'text', text: content };
+        }
+        
+        const doc = new DOMParser().parseFromString(content, 'text/html');
+        
+        const links = doc.querySelectorAll('.suggested-question');
+        if (links.length > 0) {
+            const questions = Array.from(links).map(link => link.getAttribute('data-question') || link.textContent);
+            return { ...base, type: 'suggestions', questions };
+        }
+        
+        const table = doc.querySelector('table');
+        if (table) {
+            const firstRow = table.querySelectorAll('tbody tr')[0];
+            const columns = Array.from(table.querySelectorAll('thead th')).map((th, i) => {
+                const cell = firstRow && firstRow.children[i];
+                return { name: th.textContent.trim(), type: cell && cell.classList.contains('numeric') ? 'DOUBLE' : 'STRING' };
+            });
+            const rows = Array.from(table.querySelectorAll('tbody tr')).map(tr =>
+                Array.from(tr.children).map(td => (td.textContent === 'NULL' ? null : td.textContent)));
+            return { ...base, type: 'table', result: { columns, rows, rowCount: rows.length, truncated: false, page: null } };
+        }
+        
+        return { ...base, type: 'text', text: doc.body.textContent.trim() };
+    }
+    
+    /**
+     * Check a saved query result field by field, or null when its columns and rows are unusable
+     * Numbers that end up in the page (row counts, offsets) must really be numbers; anything
+     * else the renderers don't expect is dropped.
+     */
+    migrateResult(result) {
+        if (!result || !Array.isArray(result.columns) || !Array.isArray(result.rows) ||
+            !result.columns.every(col => col && typeof col.name === 'string') ||
+            !result.rows.every(row => Array.isArray(row))) {
+            return null;
+        }
+        
+        const text = value => (typeof value === 'string' ? value : null);
+        const page = result.page && Number.isInteger(result.page.offset) && result.page.offset >= 0
+            ? {
+                offset: result.page.offset,
+                pageSize: Number.isInteger(result.page.pageSize) ? result.page.pageSize : result.rows.length,
+                nextPageToken: text(result.page.nextPageToken),
+                prevPageToken: text(result.page.prevPageToken)
+            }
+            : null;
+        const source = result.source && ['conversationId', 'messageId', 'attachmentId'].every(key => typeof result.source[key] === 'string')
+            ? { conversationId: result.source.conversationId, messageId: result.source.messageId, attachmentId: result.source.attachmentId }
+            : null;
+        
+        const migrated = {
+            statementId: text(result.statementId),
+            columns: result.columns.map(col => ({ name: col.name, type: typeof col.type === 'string' ? col.type : 'STRING' })),
+            rows: result.rows,
+            rowCount: Number.isInteger(result.rowCount) && result.rowCount >= 0 ? result.rowCount : result.rows.length,
+            truncated: result.truncated === true,
+            page,
+            source
+        };
+        if (Number.isFinite(result.refreshedAt)) {
+            migrated.refreshedAt = result.refreshedAt;
+        }
+        if (result.evicted === true) {
+            migrated.evicted = true;
+        }
+        return migrated;
+    }
+    
+    /**
+     * Check a saved answer rating (see renderFeedbackControls), or null to drop it
+     */
+    migrateFeedback(feedback) {
+        if (!feedback || typeof feedback.conversationId !== 'string' || typeof feedback.messageId !== 'string') {
+            return null;
+        }
+        return {
+            conversationId: feedback.conversationId,
+            messageId: feedback.messageId,
+            rating: ['POSITIVE', 'NEGATIVE'].includes(feedback.rating) ? feedback.rating : null
+        };
+    }
+    
+    /**
+     * Check a saved table view (see renderTableContent), or null when there is none
+     * Unusable settings fall back to Genie's order, no filter and all columns shown
+     */
+    migrateTableView(view) {
+        if (!view || typeof view !== 'object') {
+            return null;
+        }
+        
+        const sorted = Number.isInteger(view.sortColumn) && view.sortColumn >= 0;
+        return {
+            sortColumn: sorted ? view.sortColumn : null,
+            sortDir: sorted ? (view.sortDir === 'desc' ? 'desc' : 'asc') : null,
+            filter: typeof view.filter === 'string' ? view.filter : '',
+            hidden: Array.isArray(view.hidden) ? view.hidden.filter(i => Number.isInteger(i) && i >= 0) : []
+        };
+    }
+    
+    /**
+     * Escape text for use inside a double-quoted HTML attribute
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
 }
 
 // Initialize Genie Chat when page loads